@@ -26,4 +26,15 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Service worker template: the build (vite.config.js) substitutes the two placeholders
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __VERSION__: 'readonly',
+        __PRECACHE__: 'readonly',
+      },
+    },
+  },
 ])
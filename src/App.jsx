@@ -1,17 +1,48 @@
 import React, { useEffect, useMemo, useState } from "react";
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_KEY,
+  allTranslations,
+  formatDate,
+  formatDateTime,
+  formatNumber,
+  formatPercent,
+  formatScore,
+  formatTime,
+  setLanguage,
+  t,
+} from "./i18n";
 
 // Mahjong Tournament Tracker — 8 players
 // Single-file React component. Uses TailwindCSS for styling.
 // Features
 // - Optional 2v2 grouping at start (locked once first round is saved)
-// - Add Round dialog: pick 4 players in seat order (East, South, West, North)
-// - Enter raw points; per-player delta = (raw - 30000)/1000 + rank bonus
-// - Configurable rank bonuses in Settings
+// - Add Round dialog: pick 4 players in seat order (East, South, West, North), or 3 at a sanma table
+// - Sanma tables: own start/return/oka/3-value uma per profile; the player board can mix or separate 3p and 4p
+// - Optional hand-by-hand entry (ron/tsumo/draw, riichi, honba) that computes the final raw points
+// - Player statistics: placements, averages, best/worst game and a Tenhou-style R rating
+// - Score progression and rank-over-time (bump) charts, drawn as inline SVG
+// - Head-to-head matrix; a cell filters the history to the games two players shared
+// - Finals stage: top K (4/8/16) play bracketed 4-player tables with carried, halved or reset points; podium screen
+// - Multi-table rounds: each table is its own game, grouped under "Round N" with a progress view
+// - Seating generator: tables and winds for the next round, avoiding repeat opponents (or Swiss by standing)
+// - Enter raw points; per-player delta = (raw - return points)/divisor + uma (+ oka for 1st)
+// - Ruleset profiles (M-League, Tenhou, WRC, EMA, custom) and configurable rank bonuses in Settings
 // - Live leaderboards for players and (if enabled) groups
 // - Clear divider between Top 4 players and Top 4 groups
-// - Round history and per-round breakdown
-// - State persisted to localStorage
-// - Developer self-tests to validate scoring logic
+// - Round history and per-round breakdown, with penalty/adjustment entries (chombo, late arrival…) in the timeline
+// - Several named tournaments, each with its own roster, rounds and rules; season standings across them
+// - Players with games are withdrawn (archived) instead of deleted, so history stays intact
+// - Spectator board (?view=board) for a TV: large type, follows the operator tab live; share links carry a read-only snapshot
+// - Optional operator PIN (salted PBKDF2 hash) that locks every editing action on a shared device
+// - Undo/redo (toolbar, Ctrl+Z / Ctrl+Shift+Z) for every data change, kept across reloads
+// - Avatars resized to 256px and kept in IndexedDB; a banner warns when saving to localStorage fails
+// - State persisted to localStorage; versioned JSON export/import for backups
+// - CSV export (one row per player per game) and validated CSV import for spreadsheets
+// - Data diagnostics in Settings: scans the stored state for inconsistencies, with one-click repairs and a copyable report
+// - Installable offline PWA: a service worker precaches the bundle and avatars, with an "update available" prompt
+// - Chinese, English or Japanese UI (catalogues in i18n.js), chosen in Settings; numbers and dates follow the language
 
 // ----------------------- Utility Types -----------------------
 const DEFAULT_PLAYERS = [
@@ -28,6 +59,46 @@ const DEFAULT_PLAYERS = [
 
 const EMPTY_BONUS = [35, 10, -10, -20]; // example default rank bonus (1st..4th)
 
+// Message keys of the seat winds in E,S,W,N order
+const SEAT_NAMES = ["wind.east", "wind.south", "wind.west", "wind.north"];
+
+// Line colours for the progression charts, assigned by roster order
+const CHART_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#4b5563", "#ea580c", "#0d9488", "#9333ea"];
+
+// How players on equal raw points share the rank bonuses (values are message keys)
+const TIE_POLICIES = {
+  seat: "tie.seat",
+  split: "tie.split",
+};
+const DEFAULT_TIE_POLICY = "seat";
+
+// Rounding applied to (raw - return points) / divisor before the uma is added
+const ROUNDING_MODES = {
+  none: "rounding.none",
+  round: "rounding.round",
+  gotoshi: "rounding.gotoshi",
+  floor: "rounding.floor",
+};
+
+// Built-in ruleset profiles. `oka` and `uma` are in final-score units (after the divisor);
+// the oka goes to 1st place. The club profile's uma is the editable rank bonus. Preset names are
+// translated by id (see rulesetName); custom profiles carry the name the user gave them.
+const CLUB_RULESET_ID = "club";
+const PRESET_RULESETS = [
+  { id: CLUB_RULESET_ID, startPoints: 25000, returnPoints: 30000, oka: 0, uma: EMPTY_BONUS, divisor: 1000, rounding: "none" },
+  { id: "mleague", startPoints: 25000, returnPoints: 30000, oka: 20, uma: [30, 10, -10, -30], divisor: 1000, rounding: "none" },
+  { id: "tenhou", startPoints: 25000, returnPoints: 30000, oka: 20, uma: [20, 10, -10, -20], divisor: 1000, rounding: "gotoshi" },
+  { id: "wrc", startPoints: 30000, returnPoints: 30000, oka: 0, uma: [15, 5, -5, -15], divisor: 1000, rounding: "none" },
+  { id: "ema", startPoints: 30000, returnPoints: 30000, oka: 0, uma: [15, 5, -5, -15], divisor: 1000, rounding: "none" },
+];
+
+// Three-player (sanma) tables. A profile's optional `sanma` block overrides the start, return, oka and
+// 3-value uma for those tables; divisor and rounding are shared with the 4-player rules.
+const DEFAULT_SANMA = { startPoints: 35000, returnPoints: 40000, oka: 15, uma: [15, 0, -15] };
+const TABLE_TYPES = { 4: "table.yonma", 3: "table.sanma" };
+// Which results the player board counts
+const TABLE_FILTERS = { all: "table.filterAll", 4: "table.filter4", 3: "table.filter3" };
+
 // ----------------------- Helpers -----------------------
 function cls(...arr) {
   return arr.filter(Boolean).join(" ");
@@ -42,10 +113,19 @@ function loadPersisted(key, fallback) {
   }
 }
 
+// Fired on window when a write fails (usually the quota) so the UI can warn instead of losing data silently
+const PERSIST_ERROR_EVENT = "mt-persist-error";
+
+function reportPersistError(key, error) {
+  window.dispatchEvent(new CustomEvent(PERSIST_ERROR_EVENT, { detail: { key, error } }));
+}
+
 function savePersisted(key, value) {
   try {
     localStorage.setItem(key, JSON.stringify(value));
-  } catch {}
+  } catch (error) {
+    reportPersistError(key, error);
+  }
 }
 
 // Compute initials for placeholder avatar
@@ -56,279 +136,3983 @@ function initials(name) {
   return (first + last).toUpperCase();
 }
 
+// ----------------------- Avatar storage -----------------------
+// Player.avatar is a URL ("/avatars/…", legacy "data:…") or "idb:<id>" for an upload stored in IndexedDB
+const AVATAR_REF_PREFIX = "idb:";
+const AVATAR_DB = "mt_avatars";
+const AVATAR_STORE = "avatars";
+const AVATAR_SIZE = 256;
+const AVATAR_QUALITY = 0.85;
+
+let avatarDbPromise = null;
+// ref -> object URL ("" when the blob is missing), shared by every component
+const avatarUrlCache = new Map();
+
+function openAvatarDb() {
+  if (!avatarDbPromise) {
+    avatarDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(AVATAR_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(AVATAR_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return avatarDbPromise;
+}
+
+async function avatarStoreRequest(mode, makeRequest) {
+  const db = await openAvatarDb();
+  return new Promise((resolve, reject) => {
+    const req = makeRequest(db.transaction(AVATAR_STORE, mode).objectStore(AVATAR_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Center-crop to a square of at most AVATAR_SIZE px; WebP where the browser can encode it, else JPEG
+async function resizeAvatar(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const side = Math.min(bitmap.width, bitmap.height);
+  const size = Math.min(AVATAR_SIZE, side);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext("2d").drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, size, size);
+  bitmap.close();
+  const encode = type => new Promise(resolve => canvas.toBlob(resolve, type, AVATAR_QUALITY));
+  const webp = await encode("image/webp");
+  return webp?.type === "image/webp" ? webp : encode("image/jpeg");
+}
+
+/** Resize an image (File/Blob) and store it; resolves to the "idb:<id>" reference for Player.avatar. */
+async function storeAvatar(blob) {
+  const resized = await resizeAvatar(blob);
+  const ref = `${AVATAR_REF_PREFIX}a${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  await avatarStoreRequest("readwrite", store => store.put(resized, ref.slice(AVATAR_REF_PREFIX.length)));
+  avatarUrlCache.set(ref, URL.createObjectURL(resized));
+  return ref;
+}
+
+async function loadAvatarUrl(ref) {
+  try {
+    const blob = await avatarStoreRequest("readonly", store => store.get(ref.slice(AVATAR_REF_PREFIX.length)));
+    avatarUrlCache.set(ref, blob ? URL.createObjectURL(blob) : "");
+  } catch {
+    avatarUrlCache.set(ref, "");
+  }
+}
+
+/** Displayable src for Player.avatar; "" while an IndexedDB avatar is still loading or missing. */
+function avatarSrc(avatar) {
+  if (!avatar) return "";
+  return avatar.startsWith(AVATAR_REF_PREFIX) ? avatarUrlCache.get(avatar) ?? "" : avatar.trim();
+}
+
+/** Inline an avatar as a data URL, for exports that must not depend on this browser's IndexedDB. */
+async function inlineAvatar(avatar) {
+  if (!avatar?.startsWith(AVATAR_REF_PREFIX)) return avatar;
+  const blob = await avatarStoreRequest("readonly", store => store.get(avatar.slice(AVATAR_REF_PREFIX.length)));
+  if (!blob) return "";
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Load the IndexedDB avatars among `avatars` and re-render once they are ready
+function useAvatarUrls(avatars) {
+  const [, setLoaded] = useState(0);
+  const missing = [...new Set(avatars.filter(a => a?.startsWith(AVATAR_REF_PREFIX) && !avatarUrlCache.has(a)))].join(",");
+  useEffect(() => {
+    if (!missing) return;
+    let cancelled = false;
+    Promise.all(missing.split(",").map(loadAvatarUrl)).then(() => {
+      if (!cancelled) setLoaded(n => n + 1);
+    });
+    return () => { cancelled = true; };
+  }, [missing]);
+}
+
+// ----------------------- Operator lock -----------------------
+const OPERATOR_PIN_KEY = "mt_operatorPin"; // global: one PIN for every tournament on this device
+const PIN_ITERATIONS = 200000;
+const PIN_PATTERN = /^\d{4,12}$/;
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function derivePinHash(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+/** Salted PBKDF2 record for a new PIN. Only this record is stored, never the PIN itself. */
+async function createPinRecord(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: bytesToBase64(salt), iterations: PIN_ITERATIONS, hash: await derivePinHash(pin, salt, PIN_ITERATIONS) };
+}
+
+async function verifyPin(pin, record) {
+  return (await derivePinHash(pin, base64ToBytes(record.salt), record.iterations)) === record.hash;
+}
+
+// ----------------------- Tournaments -----------------------
+// Everything belonging to one tournament lives under `mt_<tournamentId>_<name>`
+const TOURNAMENT_KEYS = [
+  "players",
+  "playerScores",
+  "rounds",
+  "rankBonus",
+  "topK",
+  "tiePolicy",
+  "ruleset",
+  "customRulesets",
+  "groupsEnabled",
+  "groups",
+  "groupTopK",
+  "roundPlan",
+  "finals",
+  "adjustments",
+  "history",
+];
+
+function tournamentKey(tournamentId, name) {
+  return `mt_${tournamentId}_${name}`;
+}
+
+/**
+ * Move the single-event `mt_<name>` keys from older builds into the namespace of a tournament.
+ * Every key is copied before any is removed, so a failed copy (usually the quota) leaves all the
+ * legacy data in place for the next attempt.
+ * @param {string} tournamentId
+ * @returns {{key:string, error:Error}|null} the write that failed, shaped like PERSIST_ERROR_EVENT's detail
+ */
+function migrateLegacyKeys(tournamentId) {
+  const moved = [];
+  for (const name of TOURNAMENT_KEYS) {
+    const key = tournamentKey(tournamentId, name);
+    try {
+      const raw = localStorage.getItem(`mt_${name}`);
+      if (raw === null) continue;
+      localStorage.setItem(key, raw);
+      moved.push(name);
+    } catch (error) {
+      return { key, error };
+    }
+  }
+  for (const name of moved) {
+    try {
+      localStorage.removeItem(`mt_${name}`);
+    } catch (error) {
+      return { key: `mt_${name}`, error };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the tournament list. Legacy keys are moved into the first tournament; while any are left
+ * (a move that failed part-way), the move is retried on every load. The list of a first run is
+ * only written once the move has succeeded.
+ * @returns {{tournaments:object[], error:{key:string, error:Error}|null}} error: a failed move, for the persist banner
+ */
+function loadTournaments() {
+  const existing = loadPersisted("mt_tournaments", null);
+  const firstRun = !Array.isArray(existing) || existing.length === 0;
+  const tournaments = firstRun ? [{ id: "t1", name: t("tournament.defaultName"), createdAt: new Date().toISOString() }] : existing;
+  const error = migrateLegacyKeys(tournaments[0].id);
+  if (firstRun && !error) savePersisted("mt_tournaments", tournaments);
+  return { tournaments, error };
+}
+
+/**
+ * Read a tournament's persisted state in the same shape as export data.
+ * @param {string} tournamentId
+ */
+function loadTournamentData(tournamentId) {
+  const read = (name, fallback) => loadPersisted(tournamentKey(tournamentId, name), fallback);
+  return {
+    players: read("players", []),
+    rounds: read("rounds", []),
+    rankBonus: read("rankBonus", EMPTY_BONUS),
+    topK: read("topK", 4),
+    tiePolicy: read("tiePolicy", DEFAULT_TIE_POLICY),
+    rulesetId: read("ruleset", CLUB_RULESET_ID),
+    customRulesets: read("customRulesets", []),
+    groups: normalizeGroups(read("groups", [])),
+    groupsEnabled: Boolean(read("groupsEnabled", false)),
+    groupTopK: read("groupTopK", 2),
+    finals: read("finals", null),
+    adjustments: read("adjustments", []),
+  };
+}
+
+function removeTournamentData(tournamentId) {
+  for (const name of TOURNAMENT_KEYS) {
+    try {
+      localStorage.removeItem(tournamentKey(tournamentId, name));
+    } catch (error) {
+      reportPersistError(tournamentKey(tournamentId, name), error);
+      return;
+    }
+  }
+}
+
+// ----------------------- Undo / Redo -----------------------
+const UNDO_LIMIT = 50;
+// Only the newest steps that fit in this many characters of JSON are persisted; older ones stay in
+// memory for the session, so a long undo log never crowds the tournament itself out of localStorage
+const UNDO_PERSIST_CHARS = 200 * 1000;
+// Changes to the same fields within this window merge into one undo step (e.g. typing a name)
+const UNDO_MERGE_MS = 1000;
+// Tracked state and the message key an undo step is described by
+const UNDO_FIELDS = {
+  players: "undo.players",
+  rounds: "undo.rounds",
+  rankBonus: "undo.rankBonus",
+  topK: "undo.topK",
+  tiePolicy: "undo.tiePolicy",
+  rulesetId: "undo.ruleset",
+  customRulesets: "undo.customRulesets",
+  groups: "undo.groups",
+  groupsEnabled: "undo.groups",
+  groupTopK: "undo.groups",
+  roundPlan: "undo.roundPlan",
+  finals: "undo.finals",
+  adjustments: "undo.adjustments",
+};
+
+function changedUndoFields(prev, next) {
+  return Object.keys(UNDO_FIELDS).filter(f => prev[f] !== next[f]);
+}
+
+/**
+ * The part of an undo history that is persisted: the newest redo steps, then the newest undo steps,
+ * as long as they fit in `budget` characters of JSON.
+ * @param {{past:object[], future:object[]}} history
+ * @param {number} [budget]
+ */
+function persistableUndoHistory(history, budget = UNDO_PERSIST_CHARS) {
+  let left = budget;
+  const newest = steps => {
+    const kept = [];
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const size = JSON.stringify(steps[i]).length;
+      if (size > left) break;
+      left -= size;
+      kept.unshift(steps[i]);
+    }
+    return kept;
+  };
+  const future = newest(history.future);
+  return { past: newest(history.past), future };
+}
+
+/** What an undo step changed, in the current language (its `state` holds the previous value of each field). */
+function undoLabel(entry) {
+  return [...new Set(Object.keys(entry.state).map(f => t(UNDO_FIELDS[f])))].join(t("common.listSep"));
+}
+
 // ----------------------- Pure Logic (also used by tests) -----------------------
 /**
- * Compute per-player base/bonus/delta from raw scores and rank bonuses.
- * @param {Array<{pid:string, raw:number}>} seatWithRaw - 4 entries for E,S,W,N in order
- * @param {number[]} rankBonus - length 4, for ranks 1..4
- */
-function computeRoundDeltas(seatWithRaw, rankBonus) {
-  // Stable sort by raw descending to get ranks
-  const sorted = [...seatWithRaw].sort((a, b) => b.raw - a.raw);
-  const rankIndexByPid = Object.fromEntries(sorted.map((x, i) => [x.pid, i])); // 0..3
-  return seatWithRaw.map(({ pid, raw }) => {
-    const base = (raw - 30000) / 1000;
-    const bonus = rankBonus[rankIndexByPid[pid]] ?? 0;
-    return { pid, delta: base + bonus, base, bonus, raw };
+ * Look up the active ruleset among presets and custom profiles (falls back to the club profile).
+ * @param {string} id
+ * @param {Array<object>} customRulesets
+ * @param {number[]} rankBonus - uma of the club profile
+ */
+function resolveRuleset(id, customRulesets, rankBonus) {
+  const found = PRESET_RULESETS.find(r => r.id === id) ?? customRulesets.find(r => r.id === id) ?? PRESET_RULESETS[0];
+  return found.id === CLUB_RULESET_ID ? { ...found, uma: [...rankBonus] } : found;
+}
+
+/**
+ * Ruleset a round was frozen with. Rounds frozen before ruleset profiles existed only kept
+ * their rank bonuses, which were scored like the club profile.
+ * @param {{ruleset?:object, rankBonus?:number[]}} rules
+ */
+function frozenRuleset(rules) {
+  return rules.ruleset ?? { ...PRESET_RULESETS[0], uma: rules.rankBonus };
+}
+
+/** Display name of a ruleset: presets are translated, custom profiles keep their own name. */
+function rulesetName(ruleset) {
+  return PRESET_RULESETS.some(r => r.id === ruleset.id) ? t(`ruleset.${ruleset.id}`) : ruleset.name;
+}
+
+/**
+ * Rules for a table of `seats` players: the profile itself for 4 seats, its sanma variant for 3.
+ * @param {object} ruleset
+ * @param {number} seats
+ */
+function tableRuleset(ruleset, seats) {
+  if (seats !== 3) return ruleset;
+  return { ...ruleset, ...(ruleset.sanma ?? DEFAULT_SANMA) };
+}
+
+/**
+ * Apply a rounding mode to a base score. Modes act on the magnitude, so -12.5 and 12.5 round to
+ * mirror values and a table's bases stay balanced.
+ * @param {number} value
+ * @param {string} mode - key of ROUNDING_MODES
+ */
+function roundBase(value, mode) {
+  const size = Math.abs(value);
+  let rounded;
+  switch (mode) {
+    case "round": rounded = Math.round(size); break;
+    case "gotoshi": rounded = Math.ceil(size - 0.5); break; // .5 rounds down, .6 rounds up
+    case "floor": rounded = Math.floor(size); break;
+    default: return value;
+  }
+  if (rounded === 0) return 0; // never -0, which would display as "-0.0"
+  return value < 0 ? -rounded : rounded;
+}
+
+/**
+ * Compute per-player base/bonus/delta from raw scores under a ruleset.
+ * base = (raw - returnPoints) / divisor, rounded per `rounding`; bonus = uma by rank, plus oka for 1st.
+ * Players on equal raw points are resolved by `tiePolicy`:
+ * - "seat": the earlier starting seat (East first) takes the better rank
+ * - "split": the tied players share the same rank and split the combined bonus evenly
+ * Each entry also carries its 1-based `rank` and, when it was part of a tie, `tie` = the policy used.
+ * @param {Array<{pid:string, raw:number}>} seatWithRaw - entries for E,S,W(,N) in order (3 at a sanma table)
+ * @param {{returnPoints:number, divisor:number, rounding:string, uma:number[], oka:number}} ruleset
+ * @param {"seat"|"split"} [tiePolicy]
+ */
+function computeRoundDeltas(seatWithRaw, ruleset, tiePolicy = DEFAULT_TIE_POLICY) {
+  const rankBonus = ruleset.uma.map((u, i) => u + (i === 0 ? ruleset.oka : 0));
+  // Sort seat indexes by raw descending, seat order breaking ties
+  const order = seatWithRaw.map((_, i) => i).sort((a, b) => seatWithRaw[b].raw - seatWithRaw[a].raw || a - b);
+  const placing = []; // by seat index: { rank, bonus, tie }
+  for (let start = 0; start < order.length; ) {
+    let end = start + 1;
+    while (end < order.length && seatWithRaw[order[end]].raw === seatWithRaw[order[start]].raw) end++;
+    const tied = end - start > 1;
+    const shared = rankBonus.slice(start, end).reduce((a, b) => a + (b ?? 0), 0) / (end - start);
+    for (let k = start; k < end; k++) {
+      placing[order[k]] = tiePolicy === "split" && tied
+        ? { rank: start + 1, bonus: shared, tie: "split" }
+        : { rank: k + 1, bonus: rankBonus[k] ?? 0, tie: tied ? "seat" : undefined };
+    }
+    start = end;
+  }
+  return seatWithRaw.map(({ pid, raw }, i) => {
+    const base = roundBase((raw - ruleset.returnPoints) / ruleset.divisor, ruleset.rounding);
+    const { rank, bonus, tie } = placing[i];
+    return { pid, delta: base + bonus, base, bonus, raw, rank, ...(tie ? { tie } : {}) };
   });
 }
 
-// ----------------------- Main Component -----------------------
-export default function MahjongTournamentTracker() {
-  // Core state
-  const [players, setPlayers] = useState(() => loadPersisted("mt_players", []));
-  const [showSharkySelect, setShowSharkySelect] = useState(false);
-  const [sharkySelected, setSharkySelected] = useState([]);
-  const [playerScores, setPlayerScores] = useState(() => loadPersisted("mt_playerScores", Object.fromEntries(DEFAULT_PLAYERS.map(p => [p.id, 0]))));
-  const [rounds, setRounds] = useState(() => loadPersisted("mt_rounds", []));
-  const [rankBonus, setRankBonus] = useState(() => loadPersisted("mt_rankBonus", EMPTY_BONUS));
-  const [topK, setTopK] = useState(() => loadPersisted("mt_topK", 4));
-  // ...group feature removed...
+/**
+ * Re-derive every round's breakdown from its seats and raw points.
+ * Rounds with frozen rules (`round.rules`) keep the ruleset and tie policy they were frozen with;
+ * all others are scored with the active ones. 3-seat rounds use the sanma variant (see tableRuleset).
+ * @param {Array<{seat:string[], raw:number[], rules?:{ruleset?:object, rankBonus?:number[], tiePolicy?:string}}>} rounds
+ * @param {object} ruleset - active ruleset (see resolveRuleset)
+ * @param {"seat"|"split"} [tiePolicy] - active tie policy
+ */
+function scoreRounds(rounds, ruleset, tiePolicy = DEFAULT_TIE_POLICY) {
+  return rounds.map(r => {
+    const seatWithRaw = r.seat.map((pid, idx) => ({ pid, raw: Number(r.raw[idx]) }));
+    const breakdown = r.rules
+      ? computeRoundDeltas(seatWithRaw, tableRuleset(frozenRuleset(r.rules), r.seat.length), r.rules.tiePolicy ?? DEFAULT_TIE_POLICY)
+      : computeRoundDeltas(seatWithRaw, tableRuleset(ruleset, r.seat.length), tiePolicy);
+    return { ...r, breakdown };
+  });
+}
 
-  // UI state
-  const [showRoundDialog, setShowRoundDialog] = useState(false);
-  const [showSettings, setShowSettings] = useState(false);
-  // ...group feature removed...
+/**
+ * Players of `seat` who already sit at one of `otherGames` (the other tables of the same round).
+ * @param {string[]} seat
+ * @param {Array<{seat:string[]}>} otherGames
+ * @returns {string[]}
+ */
+function playersSeatedElsewhere(seat, otherGames) {
+  const taken = new Set(otherGames.flatMap(g => g.seat));
+  return seat.filter(pid => pid && taken.has(pid));
+}
 
-  const [showAddPlayer, setShowAddPlayer] = useState(false);
-  const [newPlayerName, setNewPlayerName] = useState("");
-  const [newPlayerAvatar, setNewPlayerAvatar] = useState("");
-  const newPlayerInputRef = React.useRef(null);
-  // Persist
-  useEffect(() => savePersisted("mt_players", players), [players]);
-  useEffect(() => savePersisted("mt_playerScores", playerScores), [playerScores]);
-  useEffect(() => savePersisted("mt_rounds", rounds), [rounds]);
-  useEffect(() => savePersisted("mt_rankBonus", rankBonus), [rankBonus]);
-  useEffect(() => savePersisted("mt_topK", topK), [topK]);
-  // ...group feature removed...
+/** Whether every seat holds a player and no player holds two. */
+function hasDistinctSeats(seat) {
+  return new Set(seat.filter(Boolean)).size === seat.length;
+}
 
-  const playersById = useMemo(() => Object.fromEntries(players.map(p => [p.id, p])), [players]);
+/**
+ * Check one game's seats and raw points; shared by RoundDialog and the CSV import.
+ * @param {string[]} seat - player ids in E/S/W(/N) order ("" for an empty seat); 3 or 4 seats
+ * @param {Array<string|number>} raw
+ * @param {number} expectedTotal - one starting stack per seat
+ * @returns {string} error message, or "" when the game is valid
+ */
+function validateGameEntry(seat, raw, expectedTotal) {
+  if (!hasDistinctSeats(seat)) {
+    return t("validate.pickPlayers", { count: seat.length, winds: SEAT_NAMES.slice(0, seat.length).map(w => t(w)).join(t("common.listSep")) });
+  }
+  const nums = raw.map(v => Number(v));
+  if (nums.some(n => !Number.isFinite(n))) return t("validate.invalidScore");
+  const sum = nums.reduce((a, b) => a + b, 0);
+  if (sum !== expectedTotal) return t("validate.sumMismatch", { expected: expectedTotal, sum });
+  return "";
+}
 
-  // ...group feature removed...
+/**
+ * Sum per-player deltas over scored rounds. Every listed player starts at 0.
+ * @param {Array<{breakdown:Array<{pid:string, delta:number}>}>} scoredRounds
+ * @param {string[]} playerIds
+ */
+function computeTotals(scoredRounds, playerIds) {
+  const totals = Object.fromEntries(playerIds.map(id => [id, 0]));
+  for (const r of scoredRounds) {
+    for (const d of r.breakdown) totals[d.pid] = (totals[d.pid] || 0) + d.delta;
+  }
+  return totals;
+}
 
-  // --------------- Handlers ---------------
-  function resetAll() {
-    if (!window.confirm("确定要清空所有数据吗？此操作不可撤销。")) return;
-    try {
-      ["mt_playerScores", "mt_rounds"].forEach(k => localStorage.removeItem(k));
-    } catch {}
-    setPlayerScores(Object.fromEntries(players.map(p => [p.id, 0])));
-    setRounds([]);
+/**
+ * Player standings, best first.
+ * @param {Array<{id:string, name:string, avatar?:string}>} players
+ * @param {Record<string, number>} playerScores
+ */
+function computePlayerStandings(players, playerScores) {
+  return players
+    .map(p => ({ key: p.id, name: p.name, avatar: p.avatar, score: playerScores[p.id] || 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Team standings: each team scores the sum of its members' totals.
+ * @param {Array<{id:string, name:string, members:string[]}>} groups
+ * @param {Record<string, number>} playerScores
+ */
+function computeGroupStandings(groups, playerScores) {
+  return groups
+    .map(g => ({ key: g.id, name: g.name, members: g.members, score: g.members.reduce((a, pid) => a + (playerScores[pid] || 0), 0) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * A uniformly shuffled copy of `arr` (Fisher–Yates).
+ * @template T
+ * @param {T[]} arr
+ * @param {() => number} [random]
+ * @returns {T[]}
+ */
+function shuffled(arr, random = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
   }
+  return a;
+}
 
-  function handleUpdatePlayer(id, patch) {
-    setPlayers(prev => prev.map(p => (p.id === id ? { ...p, ...patch } : p)));
+/**
+ * Seat the next round. Players who have played the most games sit out (ties at random), so byes
+ * even out. Tables are either Swiss groups by standing or the grouping with the fewest repeat
+ * opponents found by random restarts plus pairwise swaps; within a table, winds go to whoever
+ * has sat there least, East counting double. With `sanma`, players left over from the tables of 4
+ * fill tables of 3 instead of sitting out, as long as there are enough of them.
+ * @param {string[]} playerIds - players available this round
+ * @param {Array<{seat:string[]}>} rounds - past games
+ * @param {{swiss?:boolean, sanma?:boolean, standings?:Record<string, number>, random?:() => number}} [options]
+ * @returns {{tables:string[][], byes:string[]}} tables in E,S,W,N order, tables of 3 last
+ */
+function generateSeating(playerIds, rounds, { swiss = false, sanma = false, standings = {}, random = Math.random } = {}) {
+  const games = Object.fromEntries(playerIds.map(id => [id, 0]));
+  const seatCounts = Object.fromEntries(playerIds.map(id => [id, [0, 0, 0, 0]]));
+  const met = {};
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+  for (const r of rounds) {
+    r.seat.forEach((pid, i) => {
+      if (!(pid in games)) return;
+      games[pid] += 1;
+      seatCounts[pid][i] += 1;
+      for (const other of r.seat) if (other !== pid && other > pid) met[pairKey(pid, other)] = (met[pairKey(pid, other)] || 0) + 1;
+    });
   }
 
-  // ----------------- Round Logic -----------------
-  function AddRoundButton() {
-    return (
-      <button
-        onClick={() => setShowRoundDialog(true)}
-        className="px-4 py-2 rounded-2xl shadow font-medium border hover:shadow-md"
-      >
-        + 录入一局
-      </button>
-    );
+  const shuffle = arr => shuffled(arr, random);
+
+  // Fewest byes first, then fewest tables of 3 (e.g. 7 → 4+3, 9 → 3+3+3, 5 → 4 and a bye)
+  let byeCount = playerIds.length % 4;
+  let sanmaCount = 0;
+  if (sanma) {
+    for (byeCount = 0; ; byeCount++) {
+      const seatedCount = playerIds.length - byeCount;
+      sanmaCount = (4 - (seatedCount % 4)) % 4;
+      if (sanmaCount * 3 <= seatedCount) break;
+    }
   }
+  const tableSizes = [
+    ...Array((playerIds.length - byeCount - sanmaCount * 3) / 4).fill(4),
+    ...Array(sanmaCount).fill(3),
+  ];
+  const splitTables = order => {
+    let at = 0;
+    return tableSizes.map(size => order.slice(at, (at += size)));
+  };
+  // Most games played sit out first; shuffling beforehand breaks ties at random
+  const byGames = shuffle(playerIds).sort((a, b) => games[b] - games[a]);
+  const byes = byGames.slice(0, byeCount);
+  const seated = byGames.slice(byeCount);
 
-  function SettingsButton() {
-    return (
-      <button
-        onClick={() => setShowSettings(true)}
-        className="px-3 py-2 rounded-2xl border text-sm hover:shadow"
-      >
-        设置
-      </button>
+  // Squared so that meeting someone a third time hurts more than two second meetings
+  const tableCost = t => {
+    let c = 0;
+    for (let i = 0; i < t.length; i++) for (let j = i + 1; j < t.length; j++) c += (met[pairKey(t[i], t[j])] || 0) ** 2;
+    return c;
+  };
+
+  let groups;
+  if (swiss) {
+    const order = shuffle(seated).sort((a, b) => (standings[b] || 0) - (standings[a] || 0));
+    groups = splitTables(order);
+  } else {
+    let best = null;
+    let bestCost = Infinity;
+    for (let attempt = 0; attempt < 50 && bestCost > 0; attempt++) {
+      const order = shuffle(seated);
+      const g = splitTables(order);
+      // Swap players between tables while it lowers the cost
+      let improved = true;
+      while (improved) {
+        improved = false;
+        for (let a = 0; a < g.length; a++) for (let b = a + 1; b < g.length; b++) {
+          for (let i = 0; i < g[a].length; i++) for (let j = 0; j < g[b].length; j++) {
+            const before = tableCost(g[a]) + tableCost(g[b]);
+            [g[a][i], g[b][j]] = [g[b][j], g[a][i]];
+            if (tableCost(g[a]) + tableCost(g[b]) < before) improved = true;
+            else [g[a][i], g[b][j]] = [g[b][j], g[a][i]];
+          }
+        }
+      }
+      const cost = g.reduce((sum, t) => sum + tableCost(t), 0);
+      if (cost < bestCost) {
+        best = g;
+        bestCost = cost;
+      }
+    }
+    groups = best ?? [];
+  }
+
+  // Try all 24 (or 6) wind orders per table
+  const permute = (rest, acc, out) => {
+    if (rest.length === 0) out.push(acc);
+    else rest.forEach((x, i) => permute([...rest.slice(0, i), ...rest.slice(i + 1)], [...acc, x], out));
+    return out;
+  };
+  const perms = { 4: permute([0, 1, 2, 3], [], []), 3: permute([0, 1, 2], [], []) };
+  const tables = groups.map(t => {
+    let bestSeat = t;
+    let bestCost = Infinity;
+    for (const perm of shuffle(perms[t.length])) {
+      const seat = perm.map(i => t[i]);
+      const cost = seat.reduce((sum, pid, i) => sum + seatCounts[pid][i] * (i === 0 ? 2 : 1), 0);
+      if (cost < bestCost) {
+        bestSeat = seat;
+        bestCost = cost;
+      }
+    }
+    return bestSeat;
+  });
+
+  return { tables, byes };
+}
+
+/**
+ * Group games into rounds. Games sharing a `round` number belong together; games saved before
+ * rounds existed (no `round`) are a round of their own. Rounds keep the order of their first game.
+ * @param {Array<{id:string, round?:number, table?:number}>} rounds - games in history order
+ * @returns {Array<{key:string, no:number, games:object[]}>} `no` is the 1-based display number
+ */
+function groupRounds(rounds) {
+  const groups = [];
+  const byKey = new Map();
+  for (const r of rounds) {
+    const key = r.round != null ? `n${r.round}` : `g${r.id}`;
+    let group = byKey.get(key);
+    if (!group) {
+      group = { key, games: [] };
+      byKey.set(key, group);
+      groups.push(group);
+    }
+    group.games.push(r);
+  }
+  return groups.map((g, i) => ({ ...g, no: i + 1, games: [...g.games].sort((a, b) => (a.table ?? 0) - (b.table ?? 0)) }));
+}
+
+function nextRoundNumber(rounds) {
+  return rounds.reduce((max, r) => Math.max(max, r.round ?? 0), 0) + 1;
+}
+
+/**
+ * Remove every trace of a player: the games they played (whole tables), their team slots, their
+ * adjustments and their seats in the current round plan. Used for an explicit cascading hard delete.
+ * @param {{rounds:object[], groups:object[], roundPlan:object|null, adjustments:object[]}} data
+ * @param {string} pid
+ * @returns {{rounds:object[], groups:object[], roundPlan:object|null, adjustments:object[], removedGames:number}}
+ */
+function purgePlayer({ rounds, groups, roundPlan, adjustments }, pid) {
+  const kept = rounds.filter(r => !r.seat.includes(pid));
+  const keptIds = new Set(kept.map(r => r.id));
+  return {
+    rounds: kept,
+    groups: groups.map(g => ({ ...g, members: g.members.filter(m => m !== pid) })),
+    roundPlan: roundPlan && {
+      ...roundPlan,
+      tables: roundPlan.tables.map(t => ({
+        seat: t.seat?.includes(pid) ? null : t.seat,
+        ...(t.roundId && keptIds.has(t.roundId) ? { roundId: t.roundId } : {}),
+      })),
+      byes: roundPlan.byes.filter(b => b !== pid),
+    },
+    adjustments: adjustments.filter(a => a.pid !== pid),
+    removedGames: rounds.length - kept.length,
+  };
+}
+
+// ----------------------- Adjustments -----------------------
+// Ledger entry: { id, pid, amount, category, reason, at, reversedAt? }; reversed entries stay for the record
+const ADJUSTMENT_CATEGORIES = {
+  chombo: "adjust.cat.chombo",
+  late: "adjust.cat.late",
+  noshow: "adjust.cat.noshow",
+  ruling: "adjust.cat.ruling",
+  other: "adjust.cat.other",
+};
+
+/** Add the ledger to per-player totals; entries for players not in `totals` are skipped. */
+function applyAdjustments(totals, adjustments) {
+  const next = { ...totals };
+  for (const a of adjustments) {
+    if (!a.reversedAt && a.pid in next) next[a.pid] += a.amount;
+  }
+  return next;
+}
+
+/**
+ * History newest first: round groups in their (possibly reordered) history order, with each
+ * ledger entry slotted in before the first round that is older than it.
+ * @returns {Array<{group:object, idx:number}|{adjustment:object}>}
+ */
+function buildTimeline(roundGroups, adjustments) {
+  const ledger = [...adjustments].sort((a, b) => new Date(b.at) - new Date(a.at));
+  const items = [];
+  let j = 0;
+  roundGroups.slice().reverse().forEach((group, idx) => {
+    const time = Math.max(...group.games.map(r => new Date(r.at).getTime()));
+    while (j < ledger.length && new Date(ledger[j].at).getTime() > time) items.push({ adjustment: ledger[j++] });
+    items.push({ group, idx });
+  });
+  while (j < ledger.length) items.push({ adjustment: ledger[j++] });
+  return items;
+}
+
+// ----------------------- Player statistics -----------------------
+const RATING_START = 1500;
+const RATING_RANK_BASE = [30, 10, -10, -30]; // Tenhou R rating, 4-player
+const RATING_RANK_BASE_SANMA = [30, 0, -30];
+
+/**
+ * Tenhou-style R rating, updated game by game in history order:
+ * change = (rank base + (table average R - own R) / 40) × max(1 - games × 0.002, 0.2).
+ * Players sharing a split rank share the average of the rank bases they cover; 3-seat games use
+ * the sanma rank bases.
+ * @param {Array<{id:string, breakdown:Array<{pid:string, rank:number}>}>} scoredRounds
+ * @returns {{ratings:Record<string, number>, history:Record<string, Array<{roundId:string, rating:number, change:number}>>}}
+ */
+function computeRatings(scoredRounds) {
+  const ratings = {};
+  const games = {};
+  const history = {};
+  for (const r of scoredRounds) {
+    const before = r.breakdown.map(b => ratings[b.pid] ?? RATING_START);
+    const avg = before.reduce((a, b) => a + b, 0) / before.length;
+    const rankBase = r.breakdown.length === 3 ? RATING_RANK_BASE_SANMA : RATING_RANK_BASE;
+    r.breakdown.forEach((b, i) => {
+      const shared = r.breakdown.filter(x => x.rank === b.rank).length;
+      const base = rankBase.slice(b.rank - 1, b.rank - 1 + shared).reduce((a, v) => a + v, 0) / shared;
+      const played = games[b.pid] ?? 0;
+      const change = (base + (avg - before[i]) / 40) * Math.max(1 - played * 0.002, 0.2);
+      ratings[b.pid] = before[i] + change;
+      games[b.pid] = played + 1;
+      (history[b.pid] ||= []).push({ roundId: r.id, rating: ratings[b.pid], change });
+    });
+  }
+  return { ratings, history };
+}
+
+/**
+ * Per-player summary over scored rounds.
+ * @param {string} pid
+ * @param {Array<{id:string, breakdown:Array<{pid:string, rank:number, raw:number, delta:number}>}>} scoredRounds
+ */
+function computePlayerStats(pid, scoredRounds) {
+  const games = [];
+  for (const r of scoredRounds) {
+    const b = r.breakdown.find(x => x.pid === pid);
+    if (b) games.push({ roundId: r.id, at: r.at, seatIndex: r.breakdown.indexOf(b), ...b });
+  }
+  const n = games.length;
+  const rankCounts = [0, 0, 0, 0];
+  for (const g of games) rankCounts[g.rank - 1] += 1;
+  const sum = f => games.reduce((a, g) => a + f(g), 0);
+  const byDelta = [...games].sort((a, b) => b.delta - a.delta);
+  return {
+    games,
+    played: n,
+    rankCounts,
+    rankRates: rankCounts.map(c => (n ? c / n : 0)),
+    avgRank: n ? sum(g => g.rank) / n : null,
+    avgRaw: n ? sum(g => g.raw) / n : null,
+    bustRate: n ? games.filter(g => g.raw < 0).length / n : 0,
+    total: sum(g => g.delta),
+    best: byDelta[0] ?? null,
+    worst: byDelta[n - 1] ?? null,
+  };
+}
+
+/**
+ * Cumulative score and standing of every player after each round (see groupRounds).
+ * @param {Array<{no:number, games:Array<{breakdown:Array<{pid:string, delta:number}>}>}>} roundGroups
+ * @param {string[]} playerIds
+ * @returns {{labels:string[], scores:Record<string, number[]>, ranks:Record<string, number[]>}} labels name the
+ *   rounds only; in scores and ranks index 0 is the start
+ */
+function computeProgression(roundGroups, playerIds) {
+  const totals = Object.fromEntries(playerIds.map(id => [id, 0]));
+  const scores = Object.fromEntries(playerIds.map(id => [id, [0]]));
+  const ranks = Object.fromEntries(playerIds.map((id, i) => [id, [i + 1]]));
+  const labels = [];
+  for (const g of roundGroups) {
+    for (const r of g.games) for (const b of r.breakdown) if (b.pid in totals) totals[b.pid] += b.delta;
+    labels.push(`R${g.no}`);
+    const order = [...playerIds].sort((a, b) => totals[b] - totals[a]);
+    order.forEach((id, i) => {
+      scores[id].push(totals[id]);
+      ranks[id].push(i + 1);
+    });
+  }
+  return { labels, scores, ranks };
+}
+
+/**
+ * Pairwise record between players who shared a table.
+ * `ahead`/`behind` count games where the row player finished above/below the column player;
+ * `net` is the row player's summed delta minus the column player's over those games.
+ * @param {Array<{breakdown:Array<{pid:string, rank:number, delta:number}>}>} scoredRounds
+ * @param {string[]} playerIds
+ * @returns {Record<string, Record<string, {games:number, ahead:number, behind:number, net:number}>>}
+ */
+function computeHeadToHead(scoredRounds, playerIds) {
+  const h2h = Object.fromEntries(playerIds.map(a => [a, Object.fromEntries(playerIds.map(b => [b, { games: 0, ahead: 0, behind: 0, net: 0 }]))]));
+  for (const r of scoredRounds) {
+    for (const a of r.breakdown) {
+      for (const b of r.breakdown) {
+        if (a.pid === b.pid || !h2h[a.pid]?.[b.pid]) continue;
+        const cell = h2h[a.pid][b.pid];
+        cell.games += 1;
+        if (a.rank < b.rank) cell.ahead += 1;
+        else if (a.rank > b.rank) cell.behind += 1;
+        cell.net += a.delta - b.delta;
+      }
+    }
+  }
+  return h2h;
+}
+
+// ----------------------- Finals -----------------------
+// Finals games are ordinary rounds tagged with `finals: <stage index>`; `table` is their table in that stage
+const FINALS_SIZES = [4, 8, 16];
+const FINALS_CARRY = { full: "finals.carry.full", half: "finals.carry.half", reset: "finals.carry.reset" };
+const FINALS_ADVANCE = 2; // players per table going through to the next stage
+
+function finalsStageNames(size) {
+  const stages = { 4: ["final"], 8: ["semi", "final"], 16: ["quarter", "semi", "final"] }[size] ?? ["final"];
+  return stages.map(stage => t(`finals.stage.${stage}`));
+}
+
+/** "Round N" for a round group, or the finals stage its games belong to (names from finalsStageNames). */
+function roundGroupTitle(group, stageNames) {
+  const stage = group.games[0].finals;
+  return stage != null ? stageNames[stage] ?? t("finals.stage.final") : t("round.title", { n: group.no });
+}
+
+/** Snake seeds into tables of 4 so every table gets a similar spread, e.g. 8 → [1,4,5,8], [2,3,6,7]. */
+function snakeTables(pids) {
+  const count = pids.length / 4;
+  const tables = Array.from({ length: count }, () => []);
+  pids.forEach((pid, i) => {
+    const row = Math.floor(i / count);
+    const col = i % count;
+    tables[row % 2 === 0 ? col : count - 1 - col].push(pid);
+  });
+  return tables;
+}
+
+/**
+ * Start the finals with the best `size` players of the qualifying board.
+ * @param {Array<{key:string, score:number}>} standings - qualifying board, best first
+ * @param {number} size - one of FINALS_SIZES
+ * @param {keyof FINALS_CARRY} carry - how qualifying points enter the finals
+ */
+function createFinals(standings, size, carry) {
+  const qualified = standings.slice(0, size);
+  const factor = carry === "full" ? 1 : carry === "half" ? 0.5 : 0;
+  return {
+    size,
+    carry,
+    startedAt: new Date().toISOString(),
+    seeds: qualified.map(s => s.key),
+    carried: Object.fromEntries(qualified.map(s => [s.key, s.score * factor])),
+    stages: [snakeTables(qualified.map(s => s.key))],
+  };
+}
+
+/** Finals points per player: carried-over points plus every finals game so far. */
+function computeFinalsScores(finals, scoredRounds) {
+  const scores = { ...finals.carried };
+  for (const r of scoredRounds) {
+    if (r.finals == null) continue;
+    for (const b of r.breakdown) scores[b.pid] = (scores[b.pid] ?? 0) + b.delta;
+  }
+  return scores;
+}
+
+/** The game recorded for each table of a stage (undefined while the table is unreported). */
+function finalsStageGames(finals, stage, rounds) {
+  return finals.stages[stage].map((_, t) => rounds.find(r => r.finals === stage && r.table === t + 1));
+}
+
+/**
+ * Seat the next stage once every table of the current one is in. The top FINALS_ADVANCE of each
+ * table by finals points go through, table winners seeded ahead of runners-up.
+ * @returns {string[][]|null} null while the stage is unfinished or when it was the final
+ */
+function nextFinalsStage(finals, scoredRounds) {
+  const stage = finals.stages.length - 1;
+  const tables = finals.stages[stage];
+  if (tables.length === 1 || finalsStageGames(finals, stage, scoredRounds).some(g => !g)) return null;
+  const scores = computeFinalsScores(finals, scoredRounds);
+  const byScore = (a, b) => scores[b] - scores[a];
+  const ranked = tables.map(seat => [...seat].sort(byScore));
+  const advancing = [];
+  for (let place = 0; place < FINALS_ADVANCE; place++) advancing.push(...ranked.map(t => t[place]).sort(byScore));
+  return snakeTables(advancing);
+}
+
+/**
+ * Finals ranking: players who got further rank ahead, then by finals points.
+ * @returns {{rows:Array<{pid:string, score:number, stage:number}>, complete:boolean}}
+ *   `stage` is the last stage the player reached; `complete` once the final has been played
+ */
+function computeFinalsStandings(finals, scoredRounds) {
+  const scores = computeFinalsScores(finals, scoredRounds);
+  const reached = {};
+  finals.stages.forEach((tables, s) => tables.flat().forEach(pid => { reached[pid] = s; }));
+  const lastStage = finalsStageNames(finals.size).length - 1;
+  const complete = finals.stages.length === lastStage + 1 && finalsStageGames(finals, lastStage, scoredRounds).every(Boolean);
+  const rows = finals.seeds
+    .map(pid => ({ pid, score: scores[pid] ?? 0, stage: reached[pid] }))
+    .sort((a, b) => b.stage - a.stage || b.score - a.score);
+  return { rows, complete };
+}
+
+// ----------------------- Hand-by-hand scoring -----------------------
+const HAND_TYPES = { ron: "hand.ron", tsumo: "hand.tsumo", draw: "hand.draw" };
+
+// Basic points: fu × 2^(han + 2), capped by the limit hands
+function handBasicPoints(han, fu) {
+  if (han >= 13) return 8000; // yakuman (counted)
+  if (han >= 11) return 6000; // sanbaiman
+  if (han >= 8) return 4000; // baiman
+  if (han >= 6) return 3000; // haneman
+  if (han >= 5) return 2000; // mangan
+  return Math.min(2000, fu * 2 ** (han + 2));
+}
+
+function ceil100(x) {
+  return Math.ceil(x / 100) * 100;
+}
+
+/**
+ * Check one recorded hand. Seats are starting-seat indexes (0 = East).
+ * @param {{type:string, winner?:number, loser?:number, han?:number, fu?:number, riichi?:number[], tenpai?:number[]}} hand
+ * @returns {string} error message, or "" when valid
+ */
+function validateHand(hand) {
+  if (!(hand.type in HAND_TYPES)) return t("hand.err.type");
+  if (hand.type === "draw") return "";
+  if (!(hand.winner >= 0 && hand.winner < 4)) return t("hand.err.winner");
+  if (hand.type === "ron" && (!(hand.loser >= 0 && hand.loser < 4) || hand.loser === hand.winner)) return t("hand.err.loser");
+  if (!Number.isInteger(hand.han) || hand.han < 1) return t("hand.err.han");
+  if (hand.han < 5 && (!Number.isInteger(hand.fu) || hand.fu < 20 || (hand.fu !== 25 && hand.fu % 10 !== 0))) return t("hand.err.fu");
+  return "";
+}
+
+/**
+ * Replay a table hand by hand with standard riichi payments.
+ * - Ron: the discarder pays 4× basic points (6× for the dealer), +300 per honba
+ * - Tsumo: the dealer pays 2× and the others 1× basic points (all pay 2× for a dealer win), +100 each per honba
+ * - Riichi sticks (1000 each) go to the next winner; exhaustive draws pay 3000 from noten to tenpai players
+ * - The dealer repeats on a dealer win or dealer tenpai; honba grows on a dealer win or any draw
+ * Sticks still on the table at the end go to the leader, so the final total equals 4 × startPoints.
+ * @param {Array<object>} hands - see validateHand
+ * @param {number} startPoints
+ * @returns {{scores:number[], log:Array<{label:string, hand:object, transfers:number[]}>, leftoverSticks:number}}
+ */
+function replayHands(hands, startPoints) {
+  const scores = [startPoints, startPoints, startPoints, startPoints];
+  const log = [];
+  let dealer = 0;
+  let wind = 0;
+  let honba = 0;
+  let sticks = 0;
+  for (const hand of hands) {
+    const label = t("hand.label", { wind: t(SEAT_NAMES[wind % 4]), dealer: dealer + 1, honba });
+    const transfers = [0, 0, 0, 0];
+    for (const i of hand.riichi ?? []) {
+      transfers[i] -= 1000;
+      sticks += 1;
+    }
+    let dealerKeeps;
+    if (hand.type === "draw") {
+      const tenpai = hand.tenpai ?? [];
+      if (tenpai.length > 0 && tenpai.length < 4) {
+        for (let i = 0; i < 4; i++) transfers[i] += tenpai.includes(i) ? 3000 / tenpai.length : -3000 / (4 - tenpai.length);
+      }
+      dealerKeeps = tenpai.includes(dealer);
+      honba += 1;
+    } else {
+      const basic = handBasicPoints(hand.han, hand.fu);
+      const w = hand.winner;
+      if (hand.type === "ron") {
+        const pay = ceil100(basic * (w === dealer ? 6 : 4)) + 300 * honba;
+        transfers[hand.loser] -= pay;
+        transfers[w] += pay;
+      } else {
+        for (let i = 0; i < 4; i++) {
+          if (i === w) continue;
+          const pay = ceil100(basic * (w === dealer || i === dealer ? 2 : 1)) + 100 * honba;
+          transfers[i] -= pay;
+          transfers[w] += pay;
+        }
+      }
+      transfers[w] += sticks * 1000;
+      sticks = 0;
+      dealerKeeps = w === dealer;
+      honba = dealerKeeps ? honba + 1 : 0;
+    }
+    for (let i = 0; i < 4; i++) scores[i] += transfers[i];
+    log.push({ label, hand, transfers });
+    if (!dealerKeeps) {
+      dealer = (dealer + 1) % 4;
+      if (dealer === 0) wind += 1;
+    }
+  }
+  if (sticks > 0) {
+    const leader = scores.reduce((best, v, i) => (v > scores[best] ? i : best), 0);
+    scores[leader] += sticks * 1000;
+  }
+  return { scores, log, leftoverSticks: sticks };
+}
+
+// ----------------------- Export / Import -----------------------
+const EXPORT_APP_ID = "mahjong-tracker";
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Bring the legacy 2v2 grouping data to `[{ id, name, members: pid[] }]`.
+ * Older builds stored either group objects (`members` or `playerIds`) or bare pid arrays.
+ */
+function normalizeGroups(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((g, i) => {
+      const members = Array.isArray(g) ? g : g?.members ?? g?.playerIds ?? [];
+      return {
+        id: String(g?.id ?? `g${i + 1}`),
+        name: String(g?.name ?? t("groups.defaultName", { n: i + 1 })),
+        members: members.filter(m => typeof m === "string"),
+      };
+    })
+    .filter(g => g.members.length > 0);
+}
+
+// Each entry upgrades a document from version `i` to `i + 1`
+const EXPORT_MIGRATIONS = [
+  // v0 → v1: an unversioned dump of the mt_* localStorage keys (values raw or JSON-encoded)
+  doc => {
+    const read = key => {
+      const v = doc[key];
+      if (typeof v !== "string") return v;
+      try {
+        return JSON.parse(v);
+      } catch {
+        return v;
+      }
+    };
+    // Anything but an array is left for validateExportData to reject
+    const storedRounds = read("mt_rounds") ?? [];
+    const rounds = !Array.isArray(storedRounds) ? storedRounds : storedRounds
+      .filter(r => r && typeof r === "object")
+      .map(r => {
+        // Very old rounds may only carry their breakdown
+        if (Array.isArray(r.seat) && Array.isArray(r.raw)) return r;
+        const breakdown = Array.isArray(r.breakdown) ? r.breakdown : [];
+        return { ...r, seat: breakdown.map(b => b?.pid), raw: breakdown.map(b => b?.raw) };
+      });
+    return {
+      app: EXPORT_APP_ID,
+      schemaVersion: 1,
+      exportedAt: null,
+      data: {
+        players: read("mt_players") ?? [],
+        rounds,
+        rankBonus: read("mt_rankBonus") ?? EMPTY_BONUS,
+        topK: read("mt_topK") ?? 4,
+        tiePolicy: read("mt_tiePolicy") ?? DEFAULT_TIE_POLICY,
+        rulesetId: read("mt_ruleset") ?? CLUB_RULESET_ID,
+        customRulesets: read("mt_customRulesets") ?? [],
+        groups: normalizeGroups(read("mt_groups")),
+        groupsEnabled: Boolean(read("mt_groupsEnabled")),
+        groupTopK: 2,
+      },
+    };
+  },
+];
+
+/**
+ * Upgrade an exported document to the current schema and check it.
+ * @param {object} doc - parsed JSON
+ * @returns {{data?: object, error?: string}}
+ */
+function migrateExportDocument(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return { error: t("export.invalid") };
+  const version = doc.schemaVersion ?? 0;
+  if (version === 0 && !("mt_players" in doc || "mt_rounds" in doc)) return { error: t("export.invalid") };
+  if (!Number.isInteger(version) || version < 0) return { error: t("export.unknownVersion", { version: doc.schemaVersion }) };
+  if (version > EXPORT_SCHEMA_VERSION) return { error: t("export.newerVersion", { version, supported: EXPORT_SCHEMA_VERSION }) };
+  if (version > 0 && doc.app !== EXPORT_APP_ID) return { error: t("export.invalid") };
+  let current = doc;
+  for (let v = version; v < EXPORT_SCHEMA_VERSION; v++) current = EXPORT_MIGRATIONS[v](current);
+  const error = validateExportData(current.data);
+  return error ? { error } : { data: current.data };
+}
+
+/**
+ * Combine several tournaments into one season table. Each event is scored with its own rules;
+ * players are matched across events by name (case-insensitive), since rosters are created per event.
+ * @param {Array<{name:string, data:object}>} events - data as returned by loadTournamentData
+ */
+function computeSeasonStandings(events) {
+  const rows = new Map();
+  for (const { data } of events) {
+    const ruleset = resolveRuleset(data.rulesetId, data.customRulesets, data.rankBonus);
+    const scored = scoreRounds(data.rounds, ruleset, data.tiePolicy);
+    const totals = applyAdjustments(computeTotals(scored, data.players.map(p => p.id)), data.adjustments ?? []);
+    const games = {};
+    for (const r of scored) for (const b of r.breakdown) games[b.pid] = (games[b.pid] || 0) + 1;
+    for (const p of data.players) {
+      const key = p.name.trim().toLowerCase();
+      const row = rows.get(key) ?? { key, name: p.name, avatar: p.avatar, score: 0, games: 0, events: 0 };
+      row.score += totals[p.id] || 0;
+      row.games += games[p.id] || 0;
+      if (games[p.id]) row.events += 1;
+      row.avatar ||= p.avatar;
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Whether an imported custom ruleset can be scored: finite numbers throughout, a positive divisor,
+ * 4 uma values and, when present, a sanma block with 3.
+ */
+function isValidCustomRuleset(r) {
+  const finite = v => typeof v === "number" && Number.isFinite(v);
+  if (typeof r?.id !== "string" || ![r.startPoints, r.returnPoints, r.oka, r.divisor].every(finite) || r.divisor <= 0) return false;
+  if (!Array.isArray(r.uma) || r.uma.length !== 4 || !r.uma.every(finite)) return false;
+  if (r.rounding !== undefined && !(r.rounding in ROUNDING_MODES)) return false;
+  if (r.sanma === undefined) return true;
+  const { startPoints, returnPoints, oka, uma } = r.sanma ?? {};
+  return [startPoints, returnPoints, oka].every(finite) && Array.isArray(uma) && uma.length === 3 && uma.every(finite);
+}
+
+/**
+ * Whether imported finals have the shape createFinals writes: a known size and carry mode, seeds and
+ * stage tables of known players, and finite carried points.
+ * @param {object} finals
+ * @param {Set<string>} ids - player ids of the document
+ */
+function isValidFinals(finals, ids) {
+  const isPlayers = list => Array.isArray(list) && list.every(pid => ids.has(pid));
+  if (typeof finals !== "object" || !FINALS_SIZES.includes(finals.size) || !(finals.carry in FINALS_CARRY)) return false;
+  if (!isPlayers(finals.seeds) || finals.seeds.length !== finals.size) return false;
+  if (!Array.isArray(finals.stages) || finals.stages.length === 0 || finals.stages.length > finalsStageNames(finals.size).length) return false;
+  if (!finals.stages.every(tables => Array.isArray(tables) && tables.length > 0 && tables.every(seat => isPlayers(seat) && seat.length === 4))) return false;
+  return Boolean(finals.carried) && typeof finals.carried === "object"
+    && Object.entries(finals.carried).every(([pid, v]) => ids.has(pid) && typeof v === "number" && Number.isFinite(v));
+}
+
+function validateExportData(data) {
+  if (!data || typeof data !== "object") return t("export.err.noData");
+  const { players, rounds, rankBonus, topK, tiePolicy, customRulesets, rulesetId, groupTopK } = data;
+  if (!Array.isArray(players)) return t("export.err.players");
+  for (const p of players) {
+    if (typeof p?.id !== "string" || typeof p?.name !== "string" || (p.avatar !== undefined && typeof p.avatar !== "string")) return t("export.err.playerFields");
+  }
+  const ids = new Set(players.map(p => p.id));
+  if (ids.size !== players.length) return t("export.err.duplicateIds");
+  const isDate = v => typeof v === "string" && !Number.isNaN(Date.parse(v));
+  if (!Array.isArray(rounds)) return t("export.err.rounds");
+  if (new Set(rounds.map(r => r?.id)).size !== rounds.length) return t("export.err.roundIds");
+  for (const [i, r] of rounds.entries()) {
+    if (typeof r?.id !== "string" || !isDate(r.at)) return t("export.err.roundFields", { n: i + 1 });
+    if (!Array.isArray(r.seat) || !(r.seat.length in TABLE_TYPES) || !Array.isArray(r.raw) || r.raw.length !== r.seat.length) return t("export.err.roundSeats", { n: i + 1 });
+    if (r.seat.some(pid => !ids.has(pid))) return t("export.err.roundPlayers", { n: i + 1 });
+    if (!hasDistinctSeats(r.seat)) return t("export.err.roundRepeatPlayer", { n: i + 1 });
+    if (r.raw.some(v => !Number.isFinite(Number(v)))) return t("export.err.roundPoints", { n: i + 1 });
+  }
+  if (!Array.isArray(rankBonus) || rankBonus.length !== 4 || rankBonus.some(v => !Number.isFinite(v))) return t("export.err.rankBonus");
+  if (!Number.isInteger(topK) || topK < 1) return t("export.err.topK");
+  if (!(tiePolicy in TIE_POLICIES)) return t("export.err.tiePolicy", { policy: tiePolicy });
+  if (!Array.isArray(customRulesets) || !customRulesets.every(isValidCustomRuleset)) return t("export.err.customRulesets");
+  if (![...PRESET_RULESETS, ...customRulesets].some(r => r.id === rulesetId)) return t("export.err.rulesetId", { id: rulesetId });
+  if (groupTopK !== undefined && (!Number.isInteger(groupTopK) || groupTopK < 1)) return t("export.err.groupTopK");
+  if (data.finals != null && !isValidFinals(data.finals, ids)) return t("export.err.finals");
+  if (data.adjustments !== undefined && (!Array.isArray(data.adjustments) || data.adjustments.some(a => typeof a?.id !== "string" || !isDate(a.at) || !ids.has(a.pid) || !Number.isFinite(a.amount)))) return t("export.err.adjustments");
+  return "";
+}
+
+// ----------------------- CSV -----------------------
+// Column order of the export, as [key, header message key]. The import finds columns by header (the key
+// or its header in any language), so sheets may reorder or drop the derived ones.
+const CSV_COLUMNS = [
+  ["round", "csv.round"],
+  ["table", "csv.table"],
+  ["time", "csv.time"],
+  ["wind", "csv.wind"],
+  ["player", "csv.player"],
+  ["raw", "csv.raw"],
+  ["base", "csv.base"],
+  ["bonus", "csv.bonus"],
+  ["delta", "csv.delta"],
+];
+const CSV_REQUIRED = ["round", "wind", "player", "raw"];
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets run a cell that starts with one of these as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/** Free text (a player name) for a CSV cell; a leading ' keeps e.g. "=1+1" from running as a formula. */
+function csvText(value) {
+  const text = String(value ?? "");
+  return CSV_FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/** Inverse of csvText. */
+function parseCsvText(field) {
+  return field.startsWith("'") && CSV_FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+/**
+ * One row per player per game, in history order and seat order.
+ * @param {Array<{no:number, games:object[]}>} roundGroups - from groupRounds over scored rounds
+ * @param {(pid:string) => string} nameOf
+ */
+function buildRoundsCsv(roundGroups, nameOf) {
+  const lines = [CSV_COLUMNS.map(([, label]) => t(label)).join(",")];
+  for (const g of roundGroups) {
+    for (const r of g.games) {
+      r.breakdown.forEach((b, i) => {
+        lines.push([g.no, r.table ?? 1, r.at, t(SEAT_NAMES[i]), csvText(nameOf(b.pid)), b.raw, b.base.toFixed(1), b.bonus.toFixed(1), b.delta.toFixed(1)].map(csvField).join(","));
+      });
+    }
+  }
+  return lines.join("\r\n");
+}
+
+/** Split CSV text into rows of fields (RFC 4180 quoting; a leading BOM is dropped). */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Turn a CSV sheet into new games. Rows sharing round and table form one game; each game needs one
+ * row per wind (East/South/West only for a sanma table; winds may be written in any language) and
+ * is checked with validateGameEntry. Base/bonus/delta columns are ignored, since they are derived
+ * from the rules. Player names may carry the ' that buildRoundsCsv adds against formulas. Nothing
+ * is returned as importable while any line has an error.
+ * @param {string} text
+ * @param {Array<{id:string, name:string}>} players - names are matched case-insensitively
+ * @param {object} ruleset - active ruleset, for the starting stacks
+ * @returns {{games:Array<{sheetRound:string, table:number, at:string, seat:string[], raw:number[]}>, errors:Array<{line:number, message:string}>}}
+ */
+function parseRoundsCsv(text, players, ruleset) {
+  const rows = parseCsv(text).map((fields, i) => ({ line: i + 1, fields })).filter(r => r.fields.some(f => f.trim() !== ""));
+  if (rows.length === 0) return { games: [], errors: [{ line: 1, message: t("csv.err.empty") }] };
+  const matches = (text, messageKey) => allTranslations(messageKey).some(m => m.toLowerCase() === text.toLowerCase());
+  const header = rows[0].fields.map(h => h.trim().toLowerCase());
+  const col = {};
+  for (const [key, label] of CSV_COLUMNS) {
+    const i = header.findIndex(h => h === key || matches(h, label));
+    if (i >= 0) col[key] = i;
+  }
+  const missing = CSV_REQUIRED.filter(k => col[k] === undefined);
+  if (missing.length) {
+    const labels = missing.map(k => t(CSV_COLUMNS.find(([key]) => key === k)[1]));
+    return { games: [], errors: [{ line: 1, message: t("csv.err.missingColumns", { columns: labels.join(t("common.listSep")) }) }] };
+  }
+
+  const byName = new Map(players.map(p => [p.name.trim().toLowerCase(), p.id]));
+  const errors = [];
+  const games = new Map();
+  for (const { line, fields } of rows.slice(1)) {
+    const get = k => (col[k] === undefined ? "" : (fields[col[k]] ?? "").trim());
+    const wind = SEAT_NAMES.findIndex(w => matches(get("wind"), w));
+    const name = parseCsvText(get("player"));
+    const pid = byName.get(name.toLowerCase());
+    if (wind < 0) { errors.push({ line, message: t("csv.err.wind", { winds: SEAT_NAMES.map(w => t(w)).join("/"), value: get("wind") }) }); continue; }
+    if (!pid) { errors.push({ line, message: t("csv.err.player", { name }) }); continue; }
+    if (!get("round")) { errors.push({ line, message: t("csv.err.round") }); continue; }
+    const table = Number(get("table") || 1);
+    if (!Number.isInteger(table) || table < 1) { errors.push({ line, message: t("csv.err.table", { value: get("table") }) }); continue; }
+    const key = `${get("round")}|${table}`;
+    if (!games.has(key)) games.set(key, { sheetRound: get("round"), table, at: get("time"), lines: [], seat: ["", "", "", ""], raw: ["", "", "", ""] });
+    const game = games.get(key);
+    game.lines.push(line);
+    if (game.seat[wind]) { errors.push({ line, message: t("csv.err.duplicateWind", { round: get("round"), table, wind: t(SEAT_NAMES[wind]) }) }); continue; }
+    game.seat[wind] = pid;
+    game.raw[wind] = get("raw");
+  }
+
+  const checked = [];
+  for (const game of games.values()) {
+    // Three rows without a North seat make a sanma table
+    if (!game.seat[3] && game.seat.filter(Boolean).length === 3) {
+      game.seat = game.seat.slice(0, 3);
+      game.raw = game.raw.slice(0, 3);
+    }
+    const clash = playersSeatedElsewhere(game.seat, checked.filter(g => g.sheetRound === game.sheetRound));
+    const message = validateGameEntry(game.seat, game.raw, tableRuleset(ruleset, game.seat.length).startPoints * game.seat.length)
+      || (clash.length ? t("round.err.seatedElsewhere", { names: clash.map(pid => players.find(p => p.id === pid).name).join(t("common.listSep")) }) : "");
+    checked.push(game);
+    if (message) errors.push({ line: game.lines[0], message: t("csv.err.game", { round: game.sheetRound, table: game.table, lines: game.lines.join(t("common.listSep")), message }) });
+    if (game.at && Number.isNaN(Date.parse(game.at))) errors.push({ line: game.lines[0], message: t("csv.err.time", { value: game.at }) });
+  }
+  errors.sort((a, b) => a.line - b.line);
+  return {
+    games: [...games.values()].map(({ sheetRound, table, at, seat, raw }) => ({ sheetRound, table, at, seat, raw: raw.map(Number) })),
+    errors,
+  };
+}
+
+// ----------------------- Diagnostics -----------------------
+// Problems the Settings diagnostics panel looks for, and the one-click repair offered for each (message keys)
+const AUDIT_KINDS = {
+  rawSum: "audit.kind.rawSum",
+  staleBreakdown: "audit.kind.staleBreakdown",
+  missingPlayer: "audit.kind.missingPlayer",
+  duplicateId: "audit.kind.duplicateId",
+  scoreDrift: "audit.kind.scoreDrift",
+  topK: "audit.kind.topK",
+};
+const AUDIT_REPAIRS = {
+  rawSum: "audit.repair.rawSum",
+  staleBreakdown: "audit.repair.staleBreakdown",
+  missingPlayer: "audit.repair.missingPlayer",
+  duplicateId: "audit.repair.duplicateId",
+  scoreDrift: "audit.repair.scoreDrift",
+  topK: "audit.repair.topK",
+};
+
+/**
+ * Scan one tournament's persisted state for data the current build would not have written:
+ * raw points that do not add up, stored breakdowns that disagree with computeRoundDeltas, ids
+ * missing from or duplicated in the roster, a stale legacy `playerScores` key and Top K values
+ * out of range. Findings name their target with `roundId`, `pid` or `field`.
+ * @param {object} data - as returned by loadTournamentData, plus `roundPlan`
+ * @param {Record<string, number>|null} storedScores - the legacy `playerScores` key, if still present
+ * @returns {Array<{kind:keyof AUDIT_KINDS, message:string, roundId?:string, pid?:string, field?:string}>}
+ */
+function auditTournament(data, storedScores) {
+  const { players, rounds, adjustments = [], groups = [], roundPlan = null, finals = null } = data;
+  const ruleset = resolveRuleset(data.rulesetId, data.customRulesets, data.rankBonus);
+  const nameOf = pid => players.find(p => p.id === pid)?.name ?? pid;
+  const findings = [];
+
+  rounds.forEach((r, i) => {
+    const game = t("audit.game", { n: i + 1, id: r.id });
+    const rules = tableRuleset(r.rules ? frozenRuleset(r.rules) : ruleset, r.seat.length);
+    const expected = rules.startPoints * r.seat.length;
+    const sum = r.raw.reduce((a, v) => a + Number(v), 0);
+    if (sum !== expected) findings.push({ kind: "rawSum", roundId: r.id, message: t("audit.msg.rawSum", { game, sum, expected }) });
+    // Older builds stored the breakdown with the round; it is ignored now, but should not disagree
+    if (Array.isArray(r.breakdown)) {
+      const fresh = scoreRounds([r], ruleset, data.tiePolicy)[0].breakdown;
+      const same = r.breakdown.length === fresh.length
+        && r.breakdown.every((b, j) => b?.pid === fresh[j].pid && Math.abs(Number(b.delta) - fresh[j].delta) < 1e-6);
+      if (!same) findings.push({ kind: "staleBreakdown", roundId: r.id, message: t("audit.msg.staleBreakdown", { game }) });
+    }
+  });
+
+  const ids = new Set(players.map(p => p.id));
+  const missing = new Map(); // pid -> message keys of where it is referenced
+  const note = (pid, place) => {
+    if (typeof pid !== "string" || ids.has(pid)) return;
+    if (!missing.has(pid)) missing.set(pid, new Set());
+    missing.get(pid).add(place);
+  };
+  rounds.forEach(r => r.seat.forEach(pid => note(pid, "audit.place.rounds")));
+  adjustments.forEach(a => note(a.pid, "audit.place.adjustments"));
+  groups.forEach(g => g.members.forEach(pid => note(pid, "audit.place.groups")));
+  roundPlan?.tables.forEach(table => table.seat?.forEach(pid => note(pid, "audit.place.roundPlan")));
+  roundPlan?.byes?.forEach(pid => note(pid, "audit.place.roundPlan"));
+  finals?.seeds.forEach(pid => note(pid, "audit.place.finals"));
+  for (const [pid, places] of missing) {
+    findings.push({ kind: "missingPlayer", pid, message: t("audit.msg.missingPlayer", { pid, places: [...places].map(p => t(p)).join(t("common.listSep")) }) });
+  }
+
+  const counts = new Map();
+  for (const p of players) counts.set(p.id, [...(counts.get(p.id) ?? []), p.name]);
+  for (const [pid, names] of counts) {
+    if (names.length > 1) findings.push({ kind: "duplicateId", pid, message: t("audit.msg.duplicateId", { count: names.length, pid, names: names.join(t("common.listSep")) }) });
+  }
+
+  if (storedScores && typeof storedScores === "object") {
+    const scored = scoreRounds(rounds.filter(r => r.finals == null), ruleset, data.tiePolicy);
+    const totals = applyAdjustments(computeTotals(scored, players.map(p => p.id)), adjustments);
+    const drifted = [...new Set([...Object.keys(storedScores), ...Object.keys(totals)])]
+      .filter(pid => Math.abs((Number(storedScores[pid]) || 0) - (totals[pid] || 0)) > 1e-6);
+    if (drifted.length > 0) {
+      findings.push({ kind: "scoreDrift", message: t("audit.msg.scoreDrift", { count: drifted.length, names: drifted.map(nameOf).join(t("common.listSep")) }) });
+    }
+  }
+
+  if (!Number.isInteger(data.topK) || data.topK < 1 || data.topK > Math.max(players.length, 1)) {
+    findings.push({ kind: "topK", field: "topK", message: t("audit.msg.topK", { value: data.topK, max: Math.max(players.length, 1) }) });
+  }
+  if (data.groupsEnabled && (!Number.isInteger(data.groupTopK) || data.groupTopK < 1 || data.groupTopK > Math.max(groups.length, 1))) {
+    findings.push({ kind: "topK", field: "groupTopK", message: t("audit.msg.groupTopK", { value: data.groupTopK, max: Math.max(groups.length, 1) }) });
+  }
+  return findings;
+}
+
+/**
+ * The data change that repairs a finding. Returns null for the two that are not a data change:
+ * a wrong raw sum has to be re-entered by hand, and drift is fixed by deleting the legacy key.
+ * @param {object} data - same shape as for auditTournament
+ * @param {{kind:string, roundId?:string, pid?:string, field?:string}} finding
+ * @returns {object|null} fields of `data` to replace
+ */
+function repairAuditFinding(data, finding) {
+  switch (finding.kind) {
+    case "staleBreakdown":
+      return {
+        rounds: data.rounds.map(r => {
+          if (r.id !== finding.roundId) return r;
+          const { breakdown: _breakdown, ...rest } = r;
+          return rest;
+        }),
+      };
+    case "missingPlayer":
+      return { players: [...data.players, { id: finding.pid, name: t("audit.unknownPlayer", { pid: finding.pid }), avatar: "", note: "", archived: true }] };
+    case "duplicateId": {
+      // The first entry keeps the id, and with it the games and other references
+      let seen = 0;
+      const stamp = Date.now();
+      return { players: data.players.map(p => (p.id === finding.pid && seen++ > 0 ? { ...p, id: `p${stamp}_${seen}` } : p)) };
+    }
+    case "topK": {
+      const max = Math.max(finding.field === "groupTopK" ? data.groups.length : data.players.length, 1);
+      return { [finding.field]: Math.min(Math.max(Math.round(Number(data[finding.field])) || 1, 1), max) };
+    }
+    default:
+      return null;
+  }
+}
+
+/** Plain-text report of an audit, for pasting into a bug report or a chat. */
+function formatAuditReport(findings, title) {
+  const lines = [t("audit.report.title"), t("audit.report.event", { name: title ?? "-" }), t("audit.report.time", { time: formatDateTime(new Date()) }), ""];
+  if (findings.length === 0) lines.push(t("audit.report.clean"));
+  else {
+    lines.push(t("audit.report.found", { count: findings.length }));
+    findings.forEach((f, i) => lines.push(`${i + 1}. [${t(AUDIT_KINDS[f.kind])}] ${f.message}`));
+  }
+  return lines.join("\n");
+}
+
+// ----------------------- Spectator board -----------------------
+const LIVE_CHANNEL = "mt_live"; // BroadcastChannel the operator tab pings after every change
+const BOARD_RECENT_GAMES = 4;
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Everything the spectator board shows, derived from a tournament's data (see loadTournamentData).
+ * Only names and numbers, so the result can also be carried inside a share link.
+ * @param {object} data - players, rounds and rule settings of one tournament
+ * @param {string} title
+ */
+function buildBoardSnapshot(data, title) {
+  const ruleset = resolveRuleset(data.rulesetId, data.customRulesets, data.rankBonus);
+  const scored = scoreRounds(data.rounds, ruleset, data.tiePolicy);
+  const totals = applyAdjustments(computeTotals(scored.filter(r => r.finals == null), data.players.map(p => p.id)), data.adjustments ?? []);
+  const finals = data.finals ? computeFinalsStandings(data.finals, scored) : null;
+  const stageNames = data.finals ? finalsStageNames(data.finals.size) : [];
+  const nameOf = pid => data.players.find(p => p.id === pid)?.name ?? "?";
+  const round1 = v => Math.round(v * 10) / 10;
+  const roundGroups = groupRounds(scored);
+  const recent = roundGroups
+    .flatMap(g => g.games.map(r => ({
+      r,
+      label: r.finals != null
+        ? `${stageNames[r.finals] ?? t("finals.stage.final")} · ${t("round.table", { n: r.table })}`
+        : g.games.length > 1 || r.table ? `${t("round.title", { n: g.no })} · ${t("round.table", { n: r.table ?? 1 })}` : t("round.title", { n: g.no }),
+    })))
+    .sort((a, b) => new Date(b.r.at) - new Date(a.r.at))
+    .slice(0, BOARD_RECENT_GAMES)
+    .map(({ r, label }) => ({ label, rows: r.breakdown.map(b => ({ name: nameOf(b.pid), raw: b.raw, delta: round1(b.delta) })) }));
+  return {
+    v: SNAPSHOT_VERSION,
+    title,
+    at: new Date().toISOString(),
+    rounds: roundGroups.length,
+    topK: data.topK,
+    players: data.players
+      .filter(p => !p.archived)
+      .map(p => ({ name: p.name, avatar: p.avatar, score: round1(totals[p.id] || 0) }))
+      .sort((a, b) => b.score - a.score),
+    groupTopK: data.groupTopK,
+    groups: data.groupsEnabled
+      ? computeGroupStandings(data.groups, totals).map(g => ({ name: g.name, members: g.members.map(nameOf), score: round1(g.score) }))
+      : null,
+    finals: finals && {
+      complete: finals.complete,
+      rows: finals.rows.map(row => ({ name: nameOf(row.pid), stage: stageNames[row.stage], score: round1(row.score) })),
+    },
+    recent,
+  };
+}
+
+/** Encode a board snapshot for the URL fragment (UTF-8 JSON as base64url; avatars are left out). */
+function encodeBoardSnapshot(snapshot) {
+  const json = JSON.stringify({ ...snapshot, players: snapshot.players.map(p => ({ name: p.name, score: p.score })) });
+  let binary = "";
+  for (const byte of new TextEncoder().encode(json)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Whether a decoded link has every field SpectatorBoard reads, in the shape buildBoardSnapshot writes
+ * it: names as strings and scores and points as finite numbers.
+ */
+function isValidBoardSnapshot(snapshot) {
+  const isNumber = v => typeof v === "number" && Number.isFinite(v);
+  const isList = (list, check) => Array.isArray(list) && list.every(item => item && typeof item === "object" && check(item));
+  const isGame = g => typeof g.label === "string"
+    && isList(g.rows, row => typeof row.name === "string" && isNumber(row.raw) && isNumber(row.delta))
+    && g.rows.length <= SEAT_NAMES.length;
+  return snapshot?.v === SNAPSHOT_VERSION
+    && typeof snapshot.at === "string"
+    && isList(snapshot.players, p => typeof p.name === "string" && isNumber(p.score))
+    && isList(snapshot.recent, isGame)
+    && (snapshot.groups == null || isList(snapshot.groups, g => typeof g.name === "string" && Array.isArray(g.members) && isNumber(g.score)))
+    && (snapshot.finals == null || isList(snapshot.finals.rows, row => typeof row.name === "string" && isNumber(row.score)));
+}
+
+/** Inverse of encodeBoardSnapshot; null for a damaged, incomplete or unknown link. */
+function decodeBoardSnapshot(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    const snapshot = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    return isValidBoardSnapshot(snapshot) ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+// ----------------------- Offline support -----------------------
+// An operator tab left open all day still notices a new deploy
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Register the service worker (production builds only) and report a new version once it is installed
+ * and waiting. Accepting the update in any tab reloads every open tab, the spectator board included.
+ * @param {(worker: ServiceWorker) => void} onUpdate
+ * @returns {() => void} cleanup
+ */
+function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return () => {};
+  let timer;
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then(registration => {
+    // Without a controller this is the first install, not an update
+    const offer = () => registration.waiting && navigator.serviceWorker.controller && onUpdate(registration.waiting);
+    offer();
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => worker.state === "installed" && offer());
+    });
+    timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  }).catch(() => {}); // offline support is optional; the app works without it
+  // The first install also takes control of the page (clients.claim); only replacing a worker that
+  // already controlled it, i.e. an accepted update, reloads
+  let controlled = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  const onControllerChange = () => {
+    if (!controlled) {
+      controlled = true;
+      return;
+    }
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  };
+  navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+  return () => {
+    clearInterval(timer);
+    navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+  };
+}
+
+// ----------------------- Main Component -----------------------
+// The UI language is a device setting shared by every tournament. The saved one applies before the
+// first render; after that it only changes from App's handlers, which re-render the whole tree.
+setLanguage(loadPersisted(LANGUAGE_KEY, DEFAULT_LANGUAGE));
+
+/**
+ * Holds the tournament list and renders the tracker for the active one.
+ * The tracker is keyed by tournament, so switching reloads all of its state.
+ */
+export default function App() {
+  const [language, changeLanguage] = useState(() => loadPersisted(LANGUAGE_KEY, DEFAULT_LANGUAGE));
+  function switchLanguage(next) {
+    setLanguage(next);
+    changeLanguage(next);
+  }
+  useEffect(() => savePersisted(LANGUAGE_KEY, language), [language]);
+  // A spectator board in another tab follows the operator's choice
+  useEffect(() => {
+    const onStorage = e => {
+      if (e.key !== LANGUAGE_KEY) return;
+      const next = loadPersisted(LANGUAGE_KEY, DEFAULT_LANGUAGE);
+      setLanguage(next);
+      changeLanguage(next);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const [startup] = useState(loadTournaments);
+  const [tournaments, setTournaments] = useState(startup.tournaments);
+  const [activeId, setActiveId] = useState(() => {
+    const saved = loadPersisted("mt_activeTournament", null);
+    return tournaments.some(x => x.id === saved) ? saved : tournaments[0].id;
+  });
+  useEffect(() => {
+    // An untouched first-run list stays unwritten until the legacy move has succeeded
+    if (tournaments === startup.tournaments && startup.error) return;
+    savePersisted("mt_tournaments", tournaments);
+  }, [tournaments, startup]);
+  useEffect(() => savePersisted("mt_activeTournament", activeId), [activeId]);
+
+  // Unlocking survives switching tournaments, not a reload
+  const [operatorUnlocked, setOperatorUnlocked] = useState(false);
+
+  // A failed move of legacy data happens before the listener below exists, so it is the initial error
+  const [persistError, setPersistError] = useState(startup.error);
+  useEffect(() => {
+    const onError = e => setPersistError(e.detail);
+    window.addEventListener(PERSIST_ERROR_EVENT, onError);
+    return () => window.removeEventListener(PERSIST_ERROR_EVENT, onError);
+  }, []);
+
+  // A new build installed by the service worker, waiting for the operator to switch to it
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  useEffect(() => registerServiceWorker(setWaitingWorker), []);
+
+  // Optionally seed the new tournament with a copy of another one's roster and rules
+  function createTournament(name, copyFromId) {
+    const id = `t${Date.now()}`;
+    if (copyFromId) {
+      const source = loadTournamentData(copyFromId);
+      savePersisted(tournamentKey(id, "players"), source.players);
+      savePersisted(tournamentKey(id, "rankBonus"), source.rankBonus);
+      savePersisted(tournamentKey(id, "topK"), source.topK);
+      savePersisted(tournamentKey(id, "tiePolicy"), source.tiePolicy);
+      savePersisted(tournamentKey(id, "ruleset"), source.rulesetId);
+      savePersisted(tournamentKey(id, "customRulesets"), source.customRulesets);
+    }
+    setTournaments(prev => [...prev, { id, name, createdAt: new Date().toISOString() }]);
+    setActiveId(id);
+  }
+
+  function renameTournament(id, name) {
+    setTournaments(prev => prev.map(x => (x.id === id ? { ...x, name } : x)));
+  }
+
+  function deleteTournament(id) {
+    if (tournaments.length <= 1) return;
+    removeTournamentData(id);
+    const rest = tournaments.filter(x => x.id !== id);
+    setTournaments(rest);
+    if (activeId === id) setActiveId(rest[0].id);
+  }
+
+  // Projector / share links: ?view=board follows the stored data, #snapshot=… shows a frozen copy
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("view") === "board") {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get("snapshot");
+    // Keyed by language so a live board re-reads its game labels in the new one
+    return encoded
+      ? <SpectatorBoard key={language} snapshot={decodeBoardSnapshot(encoded)} />
+      : <SpectatorBoard key={language} tournamentId={params.get("t")} />;
+  }
+
+  return (
+    <>
+      {persistError && (
+        <div className="sticky top-0 z-40 bg-red-50 border-b border-red-200 text-red-800 text-sm px-4 py-2 flex items-center justify-between gap-3">
+          <span>
+            {t("app.persistError", {
+              reason: persistError.error?.name === "QuotaExceededError" ? t("app.quotaExceeded") : persistError.error?.message ?? t("app.unknownError"),
+            })}{" "}
+            {t("app.persistHint")}
+          </span>
+          <button className="px-2 py-1 rounded-xl border border-red-200" onClick={() => setPersistError(null)}>{t("app.dismiss")}</button>
+        </div>
+      )}
+      {waitingWorker && (
+        <div className="sticky top-0 z-40 bg-blue-50 border-b border-blue-200 text-blue-800 text-sm px-4 py-2 flex items-center justify-between gap-3">
+          <span>{t("app.updateReady")}</span>
+          <div className="flex gap-2">
+            <button className="px-2 py-1 rounded-xl border border-blue-200" onClick={() => setWaitingWorker(null)}>{t("app.updateLater")}</button>
+            <button className="px-2 py-1 rounded-xl bg-blue-600 text-white" onClick={() => waitingWorker.postMessage({ type: "SKIP_WAITING" })}>{t("app.updateNow")}</button>
+          </div>
+        </div>
+      )}
+      <MahjongTournamentTracker
+        key={activeId}
+        tournamentId={activeId}
+        tournaments={tournaments}
+        onSwitchTournament={setActiveId}
+        onCreateTournament={createTournament}
+        onRenameTournament={renameTournament}
+        onDeleteTournament={deleteTournament}
+        operatorUnlocked={operatorUnlocked}
+        onOperatorUnlockedChange={setOperatorUnlocked}
+        language={language}
+        onLanguageChange={switchLanguage}
+      />
+    </>
+  );
+}
+
+/** Board snapshot of a stored tournament (the active one when `tournamentId` is not given), or null. */
+function readLiveBoard(tournamentId) {
+  const tournaments = loadPersisted("mt_tournaments", []);
+  const id = tournamentId ?? loadPersisted("mt_activeTournament", tournaments[0]?.id);
+  const tournament = tournaments.find(x => x.id === id);
+  return tournament ? buildBoardSnapshot(loadTournamentData(tournament.id), tournament.name) : null;
+}
+
+/**
+ * Read-only board for a TV or a shared link. With a snapshot it just renders it; otherwise it reads
+ * the tournament from localStorage (the active one unless `tournamentId` is given) and re-reads it
+ * whenever the operator tab reports a change.
+ */
+function SpectatorBoard({ tournamentId, snapshot }) {
+  const [live, setLive] = useState(() => (snapshot === undefined ? readLiveBoard(tournamentId) : null));
+  useAvatarUrls((snapshot ?? live)?.players.map(p => p.avatar) ?? []);
+
+  useEffect(() => {
+    if (snapshot !== undefined) return;
+    const refresh = () => setLive(readLiveBoard(tournamentId));
+    // storage events cover other tabs; the channel also reaches tabs where storage events are unreliable
+    const onStorage = e => { if (e.key === null || e.key.startsWith("mt_")) refresh(); };
+    window.addEventListener("storage", onStorage);
+    const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(LIVE_CHANNEL) : null;
+    if (channel) channel.onmessage = refresh;
+    return () => {
+      window.removeEventListener("storage", onStorage);
+      channel?.close();
+    };
+  }, [tournamentId, snapshot]);
+
+  const board = snapshot !== undefined ? snapshot : live;
+  if (!board) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-2xl text-gray-500">
+        {snapshot !== undefined ? t("board.invalidSnapshot") : t("board.noData")}
+      </div>
+    );
+  }
+
+  function BoardRow({ index, name, detail, avatar, score, highlight }) {
+    return (
+      <div className={cls("flex items-center justify-between py-3 px-4 rounded-3xl", highlight ? "bg-gray-50" : "")}>
+        <div className="flex items-center gap-4">
+          <div className="w-10 text-right tabular-nums text-gray-500 text-2xl">{index}</div>
+          {avatarSrc(avatar) ? (
+            <img src={avatarSrc(avatar)} alt={name} className="w-14 h-14 rounded-full object-cover" />
+          ) : (
+            <div className="w-14 h-14 rounded-full bg-gray-200 flex items-center justify-center">
+              <span className="text-lg font-semibold text-gray-600">{initials(name)}</span>
+            </div>
+          )}
+          <div className="leading-tight">
+            <div className="text-3xl font-medium">{name}</div>
+            {detail && <div className="text-lg text-gray-500">{detail}</div>}
+          </div>
+        </div>
+        <div className={cls("text-4xl font-bold tabular-nums", score < 0 ? "text-red-600" : "")}>{formatScore(score)}</div>
+      </div>
+    );
+  }
+
+  function BoardList({ title, items, k }) {
+    return (
+      <div className="border rounded-3xl p-5 shadow-sm">
+        <div className="text-2xl font-semibold mb-3">{title}</div>
+        {items.map((it, i) => (
+          <React.Fragment key={i}>
+            {i === k && <div className="my-2 h-0.5 bg-gradient-to-r from-transparent via-gray-300 to-transparent" />}
+            <BoardRow index={i + 1} name={it.name} detail={it.members?.join(" · ")} avatar={it.avatar} score={it.score} highlight={i < k} />
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-6 lg:p-10">
+      <header className="flex flex-wrap items-baseline justify-between gap-4 mb-8">
+        <h1 className="text-5xl font-bold">{board.title ?? t("board.defaultTitle")}</h1>
+        <div className="text-xl text-gray-500">
+          {board.rounds > 0 ? `${t("board.roundsPlayed", { n: board.rounds })} · ` : ""}
+          {snapshot !== undefined ? t("board.snapshotAt", { time: formatDateTime(board.at) }) : t("board.liveAt", { time: formatTime(board.at) })}
+        </div>
+      </header>
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {board.finals && (
+            <BoardList
+              title={board.finals.complete ? t("board.finalsFinal") : t("board.finalsLive")}
+              items={board.finals.rows.map(row => ({ ...row, members: [row.stage] }))}
+              k={board.finals.complete ? 3 : FINALS_ADVANCE}
+            />
+          )}
+          <BoardList title={board.finals ? t("leaderboard.qualifying") : t("leaderboard.players")} items={board.players} k={board.topK} />
+          {board.groups && <BoardList title={t("leaderboard.teams")} items={board.groups} k={board.groupTopK} />}
+        </div>
+        <div className="space-y-4">
+          <div className="text-2xl font-semibold">{t("board.recent")}</div>
+          {board.recent.length === 0 && <div className="text-xl text-gray-500">{t("board.noGames")}</div>}
+          {board.recent.map((g, i) => (
+            <div key={i} className="border rounded-3xl p-4">
+              <div className="text-lg text-gray-500 mb-2">{g.label}</div>
+              {g.rows.map((row, j) => (
+                <div key={j} className="flex items-center justify-between text-2xl py-1">
+                  <span><span className="text-gray-400 mr-2">{t(SEAT_NAMES[j])}</span>{row.name}</span>
+                  <span className="tabular-nums">
+                    <span className="text-gray-500 text-lg mr-3">{formatNumber(row.raw)}</span>
+                    <span className={row.delta < 0 ? "text-red-600" : "text-green-700"}>{formatScore(row.delta, { signed: true })}</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MahjongTournamentTracker({
+  tournamentId,
+  tournaments,
+  onSwitchTournament,
+  onCreateTournament,
+  onRenameTournament,
+  onDeleteTournament,
+  operatorUnlocked,
+  onOperatorUnlockedChange,
+  language,
+  onLanguageChange,
+}) {
+  const key = name => tournamentKey(tournamentId, name);
+  const tournament = tournaments.find(x => x.id === tournamentId);
+
+  // Core state
+  const [players, setPlayers] = useState(() => loadPersisted(key("players"), []));
+  const [showDefaultRoster, setShowDefaultRoster] = useState(false);
+  const [defaultRosterSelected, setDefaultRosterSelected] = useState([]);
+  const [rounds, setRounds] = useState(() => loadPersisted(key("rounds"), []));
+  const [rankBonus, setRankBonus] = useState(() => loadPersisted(key("rankBonus"), EMPTY_BONUS));
+  const [topK, setTopK] = useState(() => loadPersisted(key("topK"), 4));
+  const [tiePolicy, setTiePolicy] = useState(() => loadPersisted(key("tiePolicy"), DEFAULT_TIE_POLICY));
+  const [rulesetId, setRulesetId] = useState(() => loadPersisted(key("ruleset"), CLUB_RULESET_ID));
+  const [customRulesets, setCustomRulesets] = useState(() => loadPersisted(key("customRulesets"), []));
+  const [groups, setGroups] = useState(() => normalizeGroups(loadPersisted(key("groups"), [])));
+  const [groupsEnabled, setGroupsEnabled] = useState(() => Boolean(loadPersisted(key("groupsEnabled"), false)));
+  const [groupTopK, setGroupTopK] = useState(() => loadPersisted(key("groupTopK"), 2));
+  const [finals, setFinals] = useState(() => loadPersisted(key("finals"), null)); // see createFinals
+  const [adjustments, setAdjustments] = useState(() => loadPersisted(key("adjustments"), []));
+  const [roundPlan, setRoundPlan] = useState(() => {
+    // current round: { round, tables: [{ seat|null, roundId? }], byes, swiss, sanma? }
+    const plan = loadPersisted(key("roundPlan"), null);
+    return plan && plan.round == null ? { ...plan, round: nextRoundNumber(rounds) } : plan;
+  });
+
+  const [operatorPin, setOperatorPin] = useState(() => loadPersisted(OPERATOR_PIN_KEY, null)); // { salt, iterations, hash }
+
+  // UI state
+  const [showRoundDialog, setShowRoundDialog] = useState(false);
+  const [editingRoundId, setEditingRoundId] = useState(null); // round being edited in RoundDialog (null = new round)
+  const [planTableIndex, setPlanTableIndex] = useState(null); // roundPlan table that pre-fills RoundDialog
+  const [showSeating, setShowSeating] = useState(false);
+  const [expandedHandLog, setExpandedHandLog] = useState(null); // round id whose hand log is open in the history
+  const [statsPlayerId, setStatsPlayerId] = useState(null);
+  const [showHeadToHead, setShowHeadToHead] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState(null); // [pidA, pidB]: only show games they shared
+  const [showSettings, setShowSettings] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // validated import data awaiting merge/replace
+  const [pendingCsv, setPendingCsv] = useState(null); // parsed CSV ({ fileName, games, errors }) awaiting confirmation
+  const [showTournaments, setShowTournaments] = useState(false);
+  const [showSeason, setShowSeason] = useState(false);
+  const [showGroups, setShowGroups] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [tableFilter, setTableFilter] = useState("all"); // key of TABLE_FILTERS for the player board
+  const [pinPrompt, setPinPrompt] = useState(null); // { action } waiting for the operator PIN
+  const [showPinSetup, setShowPinSetup] = useState(false);
+  const [showFinals, setShowFinals] = useState(false);
+  const [editingAdjustment, setEditingAdjustment] = useState(null); // ledger entry in AdjustmentDialog ({} for a new one)
+  const [showPodium, setShowPodium] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+
+  const [showAddPlayer, setShowAddPlayer] = useState(false);
+  const [newPlayerName, setNewPlayerName] = useState("");
+  const [newPlayerAvatar, setNewPlayerAvatar] = useState("");
+  const newPlayerInputRef = React.useRef(null);
+  // Persist
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "players"), players), [tournamentId, players]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "rounds"), rounds), [tournamentId, rounds]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "rankBonus"), rankBonus), [tournamentId, rankBonus]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "topK"), topK), [tournamentId, topK]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "tiePolicy"), tiePolicy), [tournamentId, tiePolicy]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "ruleset"), rulesetId), [tournamentId, rulesetId]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "customRulesets"), customRulesets), [tournamentId, customRulesets]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "groups"), groups), [tournamentId, groups]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "groupsEnabled"), groupsEnabled), [tournamentId, groupsEnabled]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "groupTopK"), groupTopK), [tournamentId, groupTopK]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "roundPlan"), roundPlan), [tournamentId, roundPlan]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "finals"), finals), [tournamentId, finals]);
+  useEffect(() => savePersisted(tournamentKey(tournamentId, "adjustments"), adjustments), [tournamentId, adjustments]);
+  useEffect(() => savePersisted(OPERATOR_PIN_KEY, operatorPin), [operatorPin]);
+
+  useAvatarUrls([...players.map(p => p.avatar), newPlayerAvatar]);
+
+  // Older saves and imports carry full-size data URLs; move them into IndexedDB once
+  const migratingAvatarsRef = React.useRef(new Set());
+  useEffect(() => {
+    const legacy = players.filter(p => p.avatar?.startsWith("data:") && !migratingAvatarsRef.current.has(p.avatar));
+    for (const p of legacy) {
+      migratingAvatarsRef.current.add(p.avatar);
+      fetch(p.avatar)
+        .then(res => res.blob())
+        .then(storeAvatar)
+        .then(ref => setPlayers(prev => prev.map(x => (x.id === p.id && x.avatar === p.avatar ? { ...x, avatar: ref } : x))))
+        .catch(() => {}); // keep the data URL if IndexedDB is unavailable
+    }
+  }, [players]);
+
+  // Ping open spectator boards; they re-read localStorage, which the effects above have just written
+  const liveChannelRef = React.useRef(null);
+  useEffect(() => {
+    if (typeof BroadcastChannel === "undefined") return;
+    liveChannelRef.current = new BroadcastChannel(LIVE_CHANNEL);
+    return () => liveChannelRef.current.close();
+  }, []);
+  useEffect(() => {
+    liveChannelRef.current?.postMessage({ tournamentId });
+  }, [tournamentId, players, rounds, rankBonus, topK, tiePolicy, rulesetId, customRulesets, groups, groupsEnabled, groupTopK, finals, adjustments]);
+
+  // --------------- Undo / Redo ---------------
+  // Each step stores only the fields it changed, so large fields (avatars, hand logs) are not copied per step
+  const undoRef = React.useRef(null);
+  if (undoRef.current === null) undoRef.current = loadPersisted(key("history"), { past: [], future: [] });
+  const lastSnapshotRef = React.useRef(null);
+  const lastChangeRef = React.useRef({ at: 0, fields: "" });
+  const [, setUndoVersion] = useState(0);
+  const snapshot = useMemo(
+    () => ({ players, rounds, rankBonus, topK, tiePolicy, rulesetId, customRulesets, groups, groupsEnabled, groupTopK, roundPlan, finals, adjustments }),
+    [players, rounds, rankBonus, topK, tiePolicy, rulesetId, customRulesets, groups, groupsEnabled, groupTopK, roundPlan, finals, adjustments]
+  );
+  const setters = {
+    players: setPlayers,
+    rounds: setRounds,
+    rankBonus: setRankBonus,
+    topK: setTopK,
+    tiePolicy: setTiePolicy,
+    rulesetId: setRulesetId,
+    customRulesets: setCustomRulesets,
+    groups: setGroups,
+    groupsEnabled: setGroupsEnabled,
+    groupTopK: setGroupTopK,
+    roundPlan: setRoundPlan,
+    finals: setFinals,
+    adjustments: setAdjustments,
+  };
+
+  useEffect(() => {
+    const prev = lastSnapshotRef.current;
+    lastSnapshotRef.current = snapshot;
+    if (!prev) return;
+    const fields = changedUndoFields(prev, snapshot);
+    if (fields.length === 0) return;
+    const now = Date.now();
+    const history = undoRef.current;
+    const merge = now - lastChangeRef.current.at < UNDO_MERGE_MS && lastChangeRef.current.fields === fields.join() && history.past.length > 0;
+    lastChangeRef.current = { at: now, fields: fields.join() };
+    const entry = { state: Object.fromEntries(fields.map(f => [f, prev[f]])) };
+    undoRef.current = {
+      past: merge ? history.past : [...history.past, entry].slice(-UNDO_LIMIT),
+      future: [],
+    };
+    savePersisted(tournamentKey(tournamentId, "history"), persistableUndoHistory(undoRef.current));
+    setUndoVersion(v => v + 1);
+  }, [snapshot, tournamentId]);
+
+  function restoreSnapshot(state) {
+    // Pre-seed the last snapshot so the restore itself is not recorded as a new step
+    lastSnapshotRef.current = { ...snapshot, ...state };
+    lastChangeRef.current = { at: 0, fields: "" };
+    for (const [field, value] of Object.entries(state)) setters[field](value);
+  }
+
+  function handleUndo() {
+    const { past, future } = undoRef.current;
+    if (past.length === 0) return;
+    const entry = past[past.length - 1];
+    const current = Object.fromEntries(Object.keys(entry.state).map(f => [f, snapshot[f]]));
+    undoRef.current = { past: past.slice(0, -1), future: [...future, { state: current }] };
+    savePersisted(key("history"), persistableUndoHistory(undoRef.current));
+    restoreSnapshot(entry.state);
+  }
+
+  function handleRedo() {
+    const { past, future } = undoRef.current;
+    if (future.length === 0) return;
+    const entry = future[future.length - 1];
+    const current = Object.fromEntries(Object.keys(entry.state).map(f => [f, snapshot[f]]));
+    undoRef.current = { past: [...past, { state: current }], future: future.slice(0, -1) };
+    savePersisted(key("history"), persistableUndoHistory(undoRef.current));
+    restoreSnapshot(entry.state);
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) {
+        e.preventDefault();
+        asOperator(handleUndo);
+      } else if ((k === "z" && e.shiftKey) || k === "y") {
+        e.preventDefault();
+        asOperator(handleRedo);
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // With a PIN set, every change to the tournament needs the operator to unlock first
+  const locked = Boolean(operatorPin) && !operatorUnlocked;
+
+  function asOperator(action) {
+    if (locked) setPinPrompt({ action });
+    else action();
+  }
+
+  const playersById = useMemo(() => Object.fromEntries(players.map(p => [p.id, p])), [players]);
+  // Withdrawn players stay in `players` (history and stats still need them) but leave the roster
+  const activePlayers = useMemo(() => players.filter(p => !p.archived), [players]);
+  const archivedPlayers = useMemo(() => players.filter(p => p.archived), [players]);
+
+  const ruleset = useMemo(() => resolveRuleset(rulesetId, customRulesets, rankBonus), [rulesetId, customRulesets, rankBonus]);
+
+  // Totals are never stored: they are re-derived from the rounds and the active rules
+  const scoredRounds = useMemo(() => scoreRounds(rounds, ruleset, tiePolicy), [rounds, ruleset, tiePolicy]);
+  // Finals games have their own standings; the player and team boards are the qualifying rounds only
+  const qualifyingRounds = useMemo(() => scoredRounds.filter(r => r.finals == null), [scoredRounds]);
+  const playerScores = useMemo(
+    () => applyAdjustments(computeTotals(qualifyingRounds, players.map(p => p.id)), adjustments),
+    [qualifyingRounds, players, adjustments]
+  );
+  // Translated, so derived on every render rather than memoized
+  const finalsStageNamesList = finals ? finalsStageNames(finals.size) : [];
+  const finalsStandings = useMemo(() => finals && computeFinalsStandings(finals, scoredRounds), [finals, scoredRounds]);
+  const finalsScores = useMemo(() => finals && computeFinalsScores(finals, scoredRounds), [finals, scoredRounds]);
+
+  // Teams are fixed once the first round is on the board
+  const groupsLocked = rounds.length > 0;
+
+  const roundGroups = useMemo(() => groupRounds(scoredRounds), [scoredRounds]);
+  const roundTitle = g => roundGroupTitle(g, finalsStageNamesList);
+  // Round group of each game id, for gameLabel
+  const gameGroups = useMemo(() => new Map(roundGroups.flatMap(g => g.games.map(r => [r.id, g]))), [roundGroups]);
+  // "Round N · Table t" for a game id (just "Round N" when the round had one table)
+  function gameLabel(id) {
+    const g = gameGroups.get(id);
+    if (!g) return "";
+    const table = g.games.find(r => r.id === id).table;
+    return g.games.length > 1 || table ? `${roundTitle(g)} · ${t("round.table", { n: table ?? 1 })}` : roundTitle(g);
+  }
+  const ratingData = useMemo(() => computeRatings(scoredRounds), [scoredRounds]);
+  const timeline = useMemo(() => buildTimeline(roundGroups, adjustments), [roundGroups, adjustments]);
+  const progression = useMemo(
+    () => computeProgression(groupRounds(qualifyingRounds), activePlayers.map(p => p.id)),
+    [qualifyingRounds, activePlayers]
+  );
+
+  const planRoundNo = roundPlan
+    ? roundGroups.find(g => g.key === `n${roundPlan.round}`)?.no ?? roundGroups.length + 1
+    : null;
+  const planTitle = roundPlan?.finals != null ? finalsStageNamesList[roundPlan.finals] ?? t("finals.stage.final") : t("round.title", { n: planRoundNo });
+
+  // --------------- Handlers ---------------
+  function resetAll() {
+    if (!window.confirm(t("confirm.resetAll"))) return;
+    try {
+      ["playerScores", "rounds", "roundPlan", "finals", "adjustments"].forEach(name => localStorage.removeItem(key(name)));
+    } catch {}
+    setRounds([]);
+    setRoundPlan(null);
+    setFinals(null);
+    setAdjustments([]);
+  }
+
+  async function buildExportDocument() {
+    return {
+      app: EXPORT_APP_ID,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      tournament: tournament?.name,
+      data: {
+        players: await Promise.all(players.map(async p => ({ ...p, avatar: await inlineAvatar(p.avatar) }))),
+        rounds,
+        rankBonus,
+        topK,
+        tiePolicy,
+        rulesetId,
+        customRulesets,
+        groups,
+        groupsEnabled,
+        groupTopK,
+        finals,
+        adjustments,
+      },
+    };
+  }
+
+  async function handleExport() {
+    let doc;
+    try {
+      doc = await buildExportDocument();
+    } catch (e) {
+      alert(t("export.avatarFailed", { error: e?.message ?? e }));
+      return;
+    }
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${tournament?.name ?? "mahjong-tournament"}-${doc.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function handleExportCsv() {
+    const csv = buildRoundsCsv(roundGroups, pid => playersById[pid]?.name ?? pid);
+    // BOM so spreadsheet apps read the file as UTF-8
+    const blob = new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${tournament?.name ?? "mahjong-tournament"}-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function handlePickCsvFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "text/csv,.csv";
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        setShowSettings(false);
+        setPendingCsv({ fileName: file.name, ...parseRoundsCsv(ev.target.result, players, ruleset) });
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  }
+
+  // Each round number of the sheet becomes a new round after the existing ones
+  function applyCsvImport(games) {
+    const firstRound = nextRoundNumber(rounds);
+    const roundNos = [...new Set(games.map(g => g.sheetRound))];
+    const now = Date.now();
+    setRounds(prev => [
+      ...prev,
+      ...games.map((g, i) => ({
+        id: `r${now}_${i}`,
+        at: g.at ? new Date(g.at).toISOString() : new Date(now).toISOString(),
+        round: firstRound + roundNos.indexOf(g.sheetRound),
+        table: g.table,
+        seat: g.seat,
+        raw: g.raw,
+      })),
+    ]);
+    setPendingCsv(null);
+  }
+
+  function handlePickImportFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        let doc;
+        try {
+          doc = JSON.parse(ev.target.result);
+        } catch {
+          return alert(t("import.notJson"));
+        }
+        const { data, error } = migrateExportDocument(doc);
+        if (error) return alert(t("import.failed", { error }));
+        setShowSettings(false);
+        setPendingImport(data);
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  }
+
+  function applyImport(data, mode) {
+    if (mode === "replace") {
+      setPlayers(data.players);
+      setRounds(data.rounds);
+      setRankBonus(data.rankBonus);
+      setTopK(data.topK);
+      setTiePolicy(data.tiePolicy);
+      setCustomRulesets(data.customRulesets);
+      setRulesetId(data.rulesetId);
+      setGroups(normalizeGroups(data.groups));
+      setGroupsEnabled(Boolean(data.groupsEnabled));
+      setGroupTopK(data.groupTopK ?? 2);
+      setFinals(data.finals ?? null);
+      setAdjustments(data.adjustments ?? []);
+      // The plan's seats and reported games belong to the data being replaced
+      setRoundPlan(null);
+    } else {
+      // Merge: add unknown players, rounds and custom rules; keep the current settings
+      const knownPlayers = new Set(players.map(p => p.id));
+      const knownRounds = new Set(rounds.map(r => r.id));
+      const knownRulesets = new Set(customRulesets.map(r => r.id));
+      setPlayers(prev => [...prev, ...data.players.filter(p => !knownPlayers.has(p.id))]);
+      setRounds(prev => [...prev, ...data.rounds.filter(r => !knownRounds.has(r.id))]);
+      setCustomRulesets(prev => [...prev, ...data.customRulesets.filter(r => !knownRulesets.has(r.id))]);
+      const knownAdjustments = new Set(adjustments.map(a => a.id));
+      setAdjustments(prev => [...prev, ...(data.adjustments ?? []).filter(a => !knownAdjustments.has(a.id))]);
+    }
+    setPendingImport(null);
+  }
+
+  function handleOpenBoard() {
+    window.open(`${window.location.pathname}?view=board&t=${encodeURIComponent(tournamentId)}`, "_blank");
+  }
+
+  async function handleShareSnapshot() {
+    const snapshot = buildBoardSnapshot({ players, rounds, rankBonus, topK, tiePolicy, rulesetId, customRulesets, groups, groupsEnabled, groupTopK, finals, adjustments }, tournament?.name);
+    const url = `${window.location.origin}${window.location.pathname}?view=board#snapshot=${encodeBoardSnapshot(snapshot)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t("share.copied"));
+    } catch {
+      window.prompt(t("share.prompt"), url);
+    }
+  }
+
+  // Uploads are shrunk and kept in IndexedDB; `apply` receives the "idb:<id>" reference
+  async function uploadAvatar(file, apply) {
+    try {
+      apply(await storeAvatar(file));
+    } catch (e) {
+      alert(t("avatar.saveFailed", { error: e?.message ?? e }));
+    }
+  }
+
+  function handleUpdatePlayer(id, patch) {
+    setPlayers(prev => prev.map(p => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  // A player who has played is withdrawn rather than deleted, so past tables keep all four seats
+  function handleRemovePlayer(id) {
+    const player = playersById[id];
+    const games = rounds.filter(r => r.seat.includes(id)).length;
+    const entries = adjustments.filter(a => a.pid === id).length;
+    if (games === 0 && entries === 0) {
+      handleDeletePlayer(id);
+      return;
+    }
+    const record = [
+      games && t("player.record.games", { n: games }),
+      entries && t("player.record.adjustments", { n: entries }),
+    ].filter(Boolean).join(t("common.listSep"));
+    if (!window.confirm(t("player.confirmWithdraw", { name: player.name, record }))) return;
+    handleUpdatePlayer(id, { archived: true });
+  }
+
+  function handleDeletePlayer(id) {
+    const player = playersById[id];
+    const purged = purgePlayer({ rounds, groups, roundPlan, adjustments }, id);
+    const removedEntries = adjustments.length - purged.adjustments.length;
+    const message = purged.removedGames > 0 || removedEntries > 0
+      ? t("player.confirmPurge", { name: player.name, games: purged.removedGames, entries: removedEntries })
+      : t("player.confirmDelete", { name: player.name });
+    if (!window.confirm(message)) return;
+    setPlayers(prev => prev.filter(p => p.id !== id));
+    setRounds(purged.rounds);
+    setGroups(purged.groups);
+    setRoundPlan(purged.roundPlan);
+    setAdjustments(purged.adjustments);
+    if (statsPlayerId === id) setStatsPlayerId(null);
+    if (historyFilter?.includes(id)) setHistoryFilter(null);
+  }
+
+  // Reversing keeps the entry in the ledger (struck through) but takes it out of the totals
+  function handleToggleReverseAdjustment(id) {
+    setAdjustments(prev => prev.map(a => {
+      if (a.id !== id) return a;
+      if (a.reversedAt) {
+        const { reversedAt: _reversedAt, ...rest } = a;
+        return rest;
+      }
+      return { ...a, reversedAt: new Date().toISOString() };
+    }));
+  }
+
+  function openRoundDialog(roundId = null, tableIndex = null) {
+    setEditingRoundId(roundId);
+    setPlanTableIndex(tableIndex);
+    setShowRoundDialog(true);
+  }
+
+  function closeRoundDialog() {
+    setShowRoundDialog(false);
+    setEditingRoundId(null);
+    setPlanTableIndex(null);
+  }
+
+  function handleDeleteRound(id) {
+    if (!rounds.some(r => r.id === id)) return;
+    if (!window.confirm(t("round.confirmDelete", { label: gameLabel(id) }))) return;
+    setRounds(prev => prev.filter(r => r.id !== id));
+    // A planned table whose result is deleted goes back to unreported
+    setRoundPlan(plan => plan && ({
+      ...plan,
+      tables: plan.tables.map(x => (x.roundId === id ? { seat: x.seat } : x)),
+    }));
+  }
+
+  // Pin a round to the current ruleset and tie policy so later Settings changes don't rescore it (or unpin it again)
+  function handleToggleFreezeRound(id) {
+    setRounds(prev => prev.map(r => {
+      if (r.id !== id) return r;
+      if (r.rules) {
+        const { rules: _rules, ...rest } = r;
+        return rest;
+      }
+      return { ...r, rules: { ruleset: { ...ruleset, uma: [...ruleset.uma] }, tiePolicy } };
+    }));
+  }
+
+  // Move a round (all of its tables) one slot earlier (dir = -1) or later (dir = 1) in the history
+  function handleMoveRound(groupKey, dir) {
+    setRounds(prev => {
+      const groups = groupRounds(prev);
+      const i = groups.findIndex(g => g.key === groupKey);
+      const j = i + dir;
+      if (i < 0 || j < 0 || j >= groups.length) return prev;
+      [groups[i], groups[j]] = [groups[j], groups[i]];
+      const order = groups.flatMap(g => g.games.map(r => r.id));
+      const byId = Object.fromEntries(prev.map(r => [r.id, r]));
+      return order.map(id => byId[id]);
+    });
+  }
+
+  // Round plan for a finals stage; tables already played keep their game
+  function finalsStagePlan(f, stage) {
+    const games = finalsStageGames(f, stage, rounds);
+    const played = games.find(Boolean);
+    return {
+      round: played?.round ?? nextRoundNumber(rounds),
+      createdAt: new Date().toISOString(),
+      swiss: false,
+      tables: f.stages[stage].map((seat, i) => (games[i] ? { seat, roundId: games[i].id } : { seat })),
+      byes: [],
+      finals: stage,
+    };
+  }
+
+  function handleStartFinals(size, carry) {
+    if (roundPlan?.tables.some(x => !x.roundId) && !window.confirm(t("finals.confirmReplacePlan"))) return;
+    const next = createFinals(officialBoard, size, carry);
+    setFinals(next);
+    setRoundPlan(finalsStagePlan(next, 0));
+    setShowFinals(false);
+  }
+
+  function handleAdvanceFinals() {
+    const tables = nextFinalsStage(finals, scoredRounds);
+    if (!tables) return;
+    const next = { ...finals, stages: [...finals.stages, tables] };
+    setFinals(next);
+    setRoundPlan(finalsStagePlan(next, next.stages.length - 1));
+  }
+
+  // Finals can only be called off before any finals game is recorded
+  function handleCancelFinals() {
+    if (rounds.some(r => r.finals != null)) return alert(t("finals.cannotCancel"));
+    if (!window.confirm(t("finals.confirmCancel"))) return;
+    if (roundPlan?.finals != null) setRoundPlan(null);
+    setFinals(null);
+  }
+
+  function openFinalsTable(stage, table) {
+    if (roundPlan?.finals !== stage) setRoundPlan(finalsStagePlan(finals, stage));
+    openRoundDialog(null, table);
+  }
+
+  // Start a round without generated seating: just the number of tables to expect
+  function handleStartManualRound(tableCount) {
+    setRoundPlan({
+      round: nextRoundNumber(rounds),
+      createdAt: new Date().toISOString(),
+      swiss: false,
+      tables: Array.from({ length: tableCount }, () => ({ seat: null })),
+      byes: [],
+    });
+  }
+
+  // ----------------- Round Logic -----------------
+  function AddRoundButton() {
+    return (
+      <button
+        onClick={() => asOperator(() => {
+          // While a round is in progress, fill in its next unreported table
+          const open = roundPlan ? roundPlan.tables.findIndex(x => !x.roundId) : -1;
+          openRoundDialog(null, open >= 0 ? open : null);
+        })}
+        className="px-4 py-2 rounded-2xl shadow font-medium border hover:shadow-md"
+      >
+        {t("toolbar.addGame")}
+      </button>
+    );
+  }
+
+  function SettingsButton() {
+    return (
+      <button
+        onClick={() => asOperator(() => setShowSettings(true))}
+        className="px-3 py-2 rounded-2xl border text-sm hover:shadow"
+      >
+        {t("toolbar.settings")}
+      </button>
+    );
+  }
+
+  function UndoRedoButtons() {
+    const { past, future } = undoRef.current;
+    const btn = "px-3 py-2 rounded-2xl border text-sm hover:shadow disabled:opacity-30 disabled:hover:shadow-none";
+    return (
+      <>
+        <button className={btn} disabled={past.length === 0} onClick={() => asOperator(handleUndo)} title={past.length ? t("toolbar.undoTitle", { label: undoLabel(past[past.length - 1]) }) : t("toolbar.nothingToUndo")}>{t("toolbar.undo")}</button>
+        <button className={btn} disabled={future.length === 0} onClick={() => asOperator(handleRedo)} title={future.length ? t("toolbar.redoTitle", { label: undoLabel(future[future.length - 1]) }) : t("toolbar.nothingToRedo")}>{t("toolbar.redo")}</button>
+      </>
+    );
+  }
+
+  function LockButton() {
+    if (!operatorPin) return null;
+    return locked ? (
+      <button className="px-3 py-2 rounded-2xl border text-sm hover:shadow bg-amber-50 text-amber-800" onClick={() => asOperator(() => {})} title={t("toolbar.lockedTitle")}>{t("toolbar.locked")}</button>
+    ) : (
+      <button className="px-3 py-2 rounded-2xl border text-sm hover:shadow" onClick={() => onOperatorUnlockedChange(false)} title={t("toolbar.lockTitle")}>{t("toolbar.lock")}</button>
+    );
+  }
+
+  function SeatingButton() {
+    return (
+      <button
+        onClick={() => asOperator(() => setShowSeating(true))}
+        className="px-3 py-2 rounded-2xl border text-sm hover:shadow"
+      >
+        {t("toolbar.nextRound")}
+      </button>
+    );
+  }
+
+  function GroupsButton() {
+    return (
+      <button
+        onClick={() => asOperator(() => setShowGroups(true))}
+        className="px-3 py-2 rounded-2xl border text-sm hover:shadow"
+      >
+        {groupsEnabled ? t("toolbar.groupsCount", { n: groups.length }) : t("toolbar.groups")}
+      </button>
+    );
+  }
+
+  // ----------------- Dialogs -----------------
+  function RoundDialog() {
+    const editing = editingRoundId ? rounds.find(r => r.id === editingRoundId) : null;
+    const planTable = planTableIndex !== null ? roundPlan?.tables[planTableIndex] : null;
+    const [seat, setSeat] = useState(() => [...(editing?.seat ?? planTable?.seat ?? ["", "", "", ""])]); // E,S,W,N player ids
+    // Outside a planned round a table either starts a new round or joins the latest one
+    const latestGroup = roundGroups[roundGroups.length - 1];
+    const canJoinLatest = !editing && !planTable && latestGroup?.games[0].round != null && latestGroup.games[0].finals == null;
+    const [joinLatest, setJoinLatest] = useState(false);
+    const [raw, setRaw] = useState(() => (editing ? editing.raw.map(String) : seat.map(() => ""))); // raw points (e.g., 34500)
+    const [error, setError] = useState("");
+    // A frozen round is checked against the ruleset it was frozen with
+    const rules = tableRuleset(editing?.rules ? frozenRuleset(editing.rules) : ruleset, seat.length);
+    const expectedTotal = rules.startPoints * seat.length;
+    // A seated plan fixes the table size; otherwise the table can be switched between 4 and 3 seats
+    const canChangeTableType = !planTable?.seat;
+
+    // Detailed mode: raw points come from replaying the recorded hands
+    const [detailed, setDetailed] = useState(() => Boolean(editing?.hands));
+    const [hands, setHands] = useState(() => editing?.hands ?? []);
+    const replay = detailed ? replayHands(hands, rules.startPoints) : null;
+    const effectiveRaw = replay ? replay.scores.map(String) : raw;
+
+    // Hand-by-hand entry only knows 4-player scoring, so a sanma table drops it
+    function changeTableType(seats) {
+      if (seats === seat.length) return;
+      if (seats === 3 && hands.length > 0 && !window.confirm(t("round.confirmDropHandsSanma"))) return;
+      const resize = arr => (seats === 3 ? arr.slice(0, 3) : [...arr, ""]);
+      setSeat(resize);
+      setRaw(resize);
+      if (seats === 3) {
+        setDetailed(false);
+        setHands([]);
+      }
+    }
+
+    function validate() {
+      // ensure distinct players in every seat and valid numbers totaling exactly one starting stack per seat
+      if (detailed && hands.length === 0 && hasDistinctSeats(seat)) return t("round.err.noHands");
+      const msg = validateGameEntry(seat, effectiveRaw, expectedTotal);
+      if (msg) return msg;
+      if (planTable && roundPlan.finals != null && planTable.seat.some(pid => !seat.includes(pid))) return t("round.err.finalsSeats");
+      // Nobody plays two tables of one round
+      const round = editing ? editing.round : planTable ? roundPlan.round : canJoinLatest && joinLatest ? latestGroup.games[0].round : null;
+      if (round != null) {
+        const clash = playersSeatedElsewhere(seat, rounds.filter(r => r.round === round && r.id !== editing?.id));
+        if (clash.length) return t("round.err.seatedElsewhere", { names: clash.map(pid => players.find(p => p.id === pid)?.name ?? pid).join(t("common.listSep")) });
+      }
+      return "";
+    }
+
+    function onSave() {
+      const msg = validate();
+      if (msg) return setError(msg);
+
+      // Commit to state; the breakdown is derived by scoreRounds
+      const handLog = detailed ? { hands } : {};
+      if (editing) {
+        // Keep id, timestamp, position and frozen rules
+        setRounds(prev => prev.map(r => {
+          if (r.id !== editing.id) return r;
+          const { hands: _hands, ...rest } = r;
+          return { ...rest, seat: [...seat], raw: effectiveRaw.map(Number), ...handLog, editedAt: new Date().toISOString() };
+        }));
+      } else {
+        const id = `r${Date.now()}`;
+        let round;
+        let table;
+        if (planTable) {
+          round = roundPlan.round;
+          table = planTableIndex + 1;
+        } else if (canJoinLatest && joinLatest) {
+          round = latestGroup.games[0].round;
+          table = Math.max(...latestGroup.games.map(r => r.table ?? 1)) + 1;
+        } else {
+          round = nextRoundNumber(rounds);
+          table = 1;
+        }
+        setRounds(prev => [
+          ...prev,
+          {
+            id,
+            at: new Date().toISOString(),
+            round,
+            table,
+            ...(planTable && roundPlan.finals != null ? { finals: roundPlan.finals } : {}),
+            seat: [...seat],
+            raw: effectiveRaw.map(Number),
+            ...handLog,
+          },
+        ]);
+        // Mark the planned table as reported
+        if (planTable) {
+          setRoundPlan(plan => plan && ({
+            ...plan,
+            tables: plan.tables.map((x, i) => (i === planTableIndex ? { ...x, roundId: id } : x)),
+          }));
+        }
+      }
+
+      closeRoundDialog();
+    }
+
+    // refs for select elements
+    const selectRefs = [React.useRef(), React.useRef(), React.useRef(), React.useRef()];
+    useEffect(() => {
+      // On modal open, do not focus anything to avoid iPad bug
+    }, [showRoundDialog]);
+
+    return (
+      <Modal
+        title={editing
+          ? t("round.editTitle", { label: gameLabel(editing.id) })
+          : planTable ? t("round.planTitle", { round: planTitle, n: planTableIndex + 1 }) : t("round.newTitle")}
+        onClose={closeRoundDialog}
+      >
+        <div className="space-y-4">
+          {canJoinLatest && (
+            <div className="flex gap-2 text-sm">
+              <button className={cls("px-3 py-1 rounded-xl border", !joinLatest ? "bg-blue-100 border-blue-500" : "")} onClick={() => setJoinLatest(false)}>{t("round.newRound")}</button>
+              <button className={cls("px-3 py-1 rounded-xl border", joinLatest ? "bg-blue-100 border-blue-500" : "")} onClick={() => setJoinLatest(true)}>
+                {t("round.joinLatest", { round: latestGroup.no, table: Math.max(...latestGroup.games.map(r => r.table ?? 1)) + 1 })}
+              </button>
+            </div>
+          )}
+          {canChangeTableType && (
+            <div className="flex gap-2 text-sm">
+              {[4, 3].map(n => (
+                <button key={n} className={cls("px-3 py-1 rounded-xl border", seat.length === n ? "bg-blue-100 border-blue-500" : "")} onClick={() => changeTableType(n)}>{t(TABLE_TYPES[n])}</button>
+              ))}
+            </div>
+          )}
+          {SEAT_NAMES.slice(0, seat.length).map((label, i) => (
+            <div key={i} className="grid grid-cols-3 gap-3 items-center">
+              <div className="text-sm text-gray-600">{t(label)}：</div>
+              <select
+                ref={selectRefs[i]}
+                className="col-span-1 border rounded-xl px-3 py-2"
+                value={seat[i]}
+                onFocus={e => {
+                  // iPad workaround: re-focus if lost
+                  setTimeout(() => {
+                    if (selectRefs[i].current) selectRefs[i].current.focus();
+                  }, 0);
+                }}
+                onChange={(e) => {
+                  const v = e.target.value;
+                  setSeat(s => {
+                    const copy = [...s];
+                    copy[i] = v;
+                    return copy;
+                  });
+                }}
+              >
+                <option value="">{t("round.pickPlayer")}</option>
+                {players.filter(p => !p.archived || seat.includes(p.id)).map(p => (
+                  <option key={p.id} value={p.id}>{p.archived ? t("round.archivedName", { name: p.name }) : p.name}</option>
+                ))}
+              </select>
+              <input
+                className={cls("col-span-1 border rounded-xl px-3 py-2", detailed ? "bg-gray-100" : "")}
+                placeholder={t("round.rawPlaceholder")}
+                value={effectiveRaw[i]}
+                readOnly={detailed}
+                onChange={e => {
+                  const v = e.target.value.replace(/[^\d-]/g, "");
+                  setRaw(r => { const c = [...r]; c[i] = v; return c; });
+                }}
+              />
+            </div>
+          ))}
+
+          <div className="text-xs text-gray-500">
+            {t(seat.length === 3 ? "round.rulesLine3" : "round.rulesLine4", { name: rulesetName(rules), start: rules.startPoints, total: expectedTotal })}
+          </div>
+
+          {seat.length === 4 ? (
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={detailed}
+                onChange={e => {
+                  if (!e.target.checked && hands.length > 0 && !window.confirm(t("round.confirmDropHands"))) return;
+                  setDetailed(e.target.checked);
+                  if (!e.target.checked) setHands([]);
+                }}
+              />
+              {t("round.detailed")}
+            </label>
+          ) : (
+            <div className="text-xs text-gray-500">{t("round.sanmaFinalOnly")}</div>
+          )}
+          {detailed && (
+            <HandLogEditor seat={seat} hands={hands} setHands={setHands} replay={replay} />
+          )}
+
+          {error && <div className="text-red-600 text-sm">{error}</div>}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button className="px-3 py-2 rounded-xl border" onClick={closeRoundDialog}>{t("common.cancel")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={onSave}>{t("common.save")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  // Records hands one at a time for RoundDialog's detailed mode
+  function HandLogEditor({ seat, hands, setHands, replay }) {
+    const [type, setType] = useState("ron");
+    const [winner, setWinner] = useState("");
+    const [loser, setLoser] = useState("");
+    const [han, setHan] = useState("1");
+    const [fu, setFu] = useState("30");
+    const [riichi, setRiichi] = useState([]);
+    const [tenpai, setTenpai] = useState([]);
+    const [error, setError] = useState("");
+    const seatLabel = i => `${t(SEAT_NAMES[i])} ${playersById[seat[i]]?.name ?? ""}`;
+
+    function toggle(list, setList, i) {
+      setList(list.includes(i) ? list.filter(x => x !== i) : [...list, i].sort());
+    }
+
+    function addHand() {
+      const hand = type === "draw"
+        ? { type, riichi, tenpai }
+        : { type, winner: winner === "" ? -1 : Number(winner), ...(type === "ron" ? { loser: loser === "" ? -1 : Number(loser) } : {}), han: Number(han), fu: Number(fu), riichi };
+      const msg = validateHand(hand);
+      if (msg) return setError(msg);
+      setHands([...hands, hand]);
+      setError("");
+      setWinner("");
+      setLoser("");
+      setRiichi([]);
+      setTenpai([]);
+    }
+
+    const selectCls = "border rounded-xl px-3 py-2";
+    return (
+      <div className="border rounded-2xl p-3 space-y-3">
+        {replay.log.length > 0 && (
+          <div className="space-y-1 text-sm">
+            {replay.log.map((entry, i) => (
+              <div key={i} className="flex items-center justify-between gap-2">
+                <span className="text-gray-600">{entry.label} · {describeHand(entry.hand, seat)}</span>
+                <span className="tabular-nums text-gray-500">{entry.transfers.map(v => (v > 0 ? `+${v}` : v)).join(" / ")}</span>
+              </div>
+            ))}
+            <div className="flex justify-between items-center pt-1">
+              <span className="text-xs text-gray-500">
+                {replay.leftoverSticks > 0 ? t("hand.leftoverSticks", { n: replay.leftoverSticks }) : ""}
+              </span>
+              <button className="px-2 py-1 rounded-xl border text-xs" onClick={() => setHands(hands.slice(0, -1))}>{t("hand.undoLast")}</button>
+            </div>
+          </div>
+        )}
+        <div className="flex flex-wrap gap-2 items-center">
+          <select className={selectCls} value={type} onChange={e => setType(e.target.value)}>
+            {Object.entries(HAND_TYPES).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+          </select>
+          {type !== "draw" && (
+            <>
+              <select className={selectCls} value={winner} onChange={e => setWinner(e.target.value)}>
+                <option value="">{t("hand.winner")}</option>
+                {[0, 1, 2, 3].map(i => <option key={i} value={i}>{seatLabel(i)}</option>)}
+              </select>
+              {type === "ron" && (
+                <select className={selectCls} value={loser} onChange={e => setLoser(e.target.value)}>
+                  <option value="">{t("hand.loser")}</option>
+                  {[0, 1, 2, 3].map(i => <option key={i} value={i}>{seatLabel(i)}</option>)}
+                </select>
+              )}
+              <input className={cls(selectCls, "w-16")} value={han} onChange={e => setHan(e.target.value.replace(/[^\d]/g, ""))} />
+              <span className="text-sm">{t("hand.han")}</span>
+              <input className={cls(selectCls, "w-16")} value={fu} disabled={Number(han) >= 5} onChange={e => setFu(e.target.value.replace(/[^\d]/g, ""))} />
+              <span className="text-sm">{t("hand.fu")}</span>
+            </>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <span className="text-gray-600">{t("hand.riichi")}</span>
+          {[0, 1, 2, 3].map(i => (
+            <label key={i} className="flex items-center gap-1">
+              <input type="checkbox" checked={riichi.includes(i)} onChange={() => toggle(riichi, setRiichi, i)} />
+              {seatLabel(i)}
+            </label>
+          ))}
+        </div>
+        {type === "draw" && (
+          <div className="flex flex-wrap gap-3 text-sm">
+            <span className="text-gray-600">{t("hand.tenpai")}</span>
+            {[0, 1, 2, 3].map(i => (
+              <label key={i} className="flex items-center gap-1">
+                <input type="checkbox" checked={tenpai.includes(i)} onChange={() => toggle(tenpai, setTenpai, i)} />
+                {seatLabel(i)}
+              </label>
+            ))}
+          </div>
+        )}
+        {error && <div className="text-red-600 text-sm">{error}</div>}
+        <button className="px-3 py-2 rounded-xl border text-sm" onClick={addHand}>{t("hand.add")}</button>
+      </div>
+    );
+  }
+
+  // One-line summary of a recorded hand, e.g. "南 TT 荣和 ← 东 Len 3翻30符"
+  function describeHand(hand, seat) {
+    const name = i => `${t(SEAT_NAMES[i])} ${playersById[seat[i]]?.name ?? ""}`.trim();
+    const riichi = hand.riichi?.length ? t("hand.riichiSuffix", { names: hand.riichi.map(name).join(t("common.listSep")) }) : "";
+    if (hand.type === "draw") {
+      const tenpai = hand.tenpai?.length ? hand.tenpai.map(name).join(t("common.listSep")) : t("hand.allNoten");
+      return `${t("hand.drawSummary", { tenpai })}${riichi}`;
+    }
+    const value = hand.han >= 5 ? t("hand.valueHan", { han: hand.han }) : t("hand.valueHanFu", { han: hand.han, fu: hand.fu });
+    const from = hand.type === "ron" ? ` ← ${name(hand.loser)}` : "";
+    return `${name(hand.winner)} ${t(HAND_TYPES[hand.type])}${from} ${value}${riichi}`;
+  }
+
+  function PlayerStatsDialog() {
+    const player = playersById[statsPlayerId];
+    const stats = computePlayerStats(statsPlayerId, scoredRounds);
+    const ratingHistory = ratingData.history[statsPlayerId] ?? [];
+    const ratingByRound = Object.fromEntries(ratingHistory.map(h => [h.roundId, h]));
+    const rating = ratingData.ratings[statsPlayerId] ?? RATING_START;
+    const gameLine = g => g && t("stats.gameLine", { label: gameLabel(g.roundId), rank: g.rank, raw: formatNumber(g.raw), delta: formatScore(g.delta, { signed: true }) });
+    const ledger = adjustments.filter(a => a.pid === statsPlayerId).sort((a, b) => new Date(b.at) - new Date(a.at));
+    const adjustmentTotal = ledger.reduce((sum, a) => sum + (a.reversedAt ? 0 : a.amount), 0);
+
+    const tiles = [
+      [t("stats.played"), stats.played],
+      [t("stats.total"), formatScore(stats.total + adjustmentTotal)],
+      [t("stats.avgRank"), stats.avgRank != null ? formatScore(stats.avgRank, { digits: 2 }) : "-"],
+      [t("stats.avgRaw"), stats.avgRaw != null ? formatNumber(stats.avgRaw) : "-"],
+      [t("stats.bustRate"), formatPercent(stats.bustRate)],
+      [t("stats.rating"), formatNumber(rating)],
+    ];
+
+    return (
+      <Modal title={t("stats.title", { name: player?.name ?? t("stats.unknownPlayer") })} onClose={() => setStatsPlayerId(null)}>
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+            {tiles.map(([label, value]) => (
+              <div key={label} className="rounded-2xl bg-gray-50 p-3 text-center">
+                <div className="text-xs text-gray-500">{label}</div>
+                <div className="font-semibold tabular-nums">{value}</div>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-4 gap-3">
+            {stats.rankCounts.map((c, i) => (
+              <div key={i} className="rounded-2xl border p-3 text-center">
+                <div className="text-xs text-gray-500">{t("stats.place", { n: i + 1 })}</div>
+                <div className="font-semibold tabular-nums">{t("stats.times", { n: c })}</div>
+                <div className="text-xs text-gray-500 tabular-nums">{formatPercent(stats.rankRates[i])}</div>
+                <div className="mt-2 h-1.5 rounded-full bg-gray-100">
+                  <div className="h-1.5 rounded-full bg-gray-700" style={{ width: `${stats.rankRates[i] * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+          {stats.played > 0 && (
+            <div className="text-sm space-y-1">
+              <div><span className="text-gray-500">{t("stats.best")}</span>{gameLine(stats.best)}</div>
+              <div><span className="text-gray-500">{t("stats.worst")}</span>{gameLine(stats.worst)}</div>
+            </div>
+          )}
+          <div>
+            <div className="font-semibold mb-2">{t("stats.games")}</div>
+            {stats.played === 0 ? (
+              <div className="text-sm text-gray-500">{t("stats.noGames")}</div>
+            ) : (
+              <div className="space-y-1 text-sm">
+                {stats.games.slice().reverse().map(g => {
+                  const h = ratingByRound[g.roundId];
+                  return (
+                    <div key={g.roundId} className="grid grid-cols-5 gap-2 rounded-xl bg-gray-50 px-3 py-1 tabular-nums">
+                      <span className="col-span-2 text-gray-600">{gameLabel(g.roundId)} · {t(SEAT_NAMES[g.seatIndex])}</span>
+                      <span>{t("stats.gamePlace", { rank: g.rank, raw: formatNumber(g.raw) })}</span>
+                      <span className="font-semibold">{formatScore(g.delta, { signed: true })}</span>
+                      <span className="text-gray-500">{h && t("stats.ratingChange", { rating: formatNumber(h.rating), change: formatScore(h.change, { signed: true }) })}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+          {ledger.length > 0 && (
+            <div>
+              <div className="font-semibold mb-2">
+                {t("stats.adjustments")}
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  {t("stats.adjustmentSummary", { games: formatScore(stats.total), adjustments: formatScore(adjustmentTotal, { signed: true }) })}
+                </span>
+              </div>
+              <div className="space-y-1 text-sm">
+                {ledger.map(a => (
+                  <div key={a.id} className={cls("grid grid-cols-5 gap-2 rounded-xl bg-amber-50 px-3 py-1 tabular-nums", a.reversedAt ? "opacity-50 line-through" : "")}>
+                    <span className="text-gray-600">{formatDate(a.at)}</span>
+                    <span>{ADJUSTMENT_CATEGORIES[a.category] ? t(ADJUSTMENT_CATEGORIES[a.category]) : a.category}</span>
+                    <span className="col-span-2">{a.reason}</span>
+                    <span className="font-semibold">{formatScore(a.amount, { signed: true })}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </Modal>
+    );
+  }
+
+  function HeadToHeadDialog() {
+    const h2h = computeHeadToHead(scoredRounds, players.map(p => p.id));
+
+    function openGames(a, b) {
+      setHistoryFilter([a, b]);
+      setShowHeadToHead(false);
+      setTimeout(() => document.getElementById("round-history")?.scrollIntoView({ behavior: "smooth" }), 0);
+    }
+
+    return (
+      <Modal title={t("h2h.title")} onClose={() => setShowHeadToHead(false)}>
+        <div className="space-y-3">
+          <div className="text-xs text-gray-500">{t("h2h.hint")}</div>
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate border-spacing-1">
+              <thead>
+                <tr>
+                  <th />
+                  {players.map(p => <th key={p.id} className="px-1 font-medium text-gray-600 whitespace-nowrap">{p.name}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {players.map(a => (
+                  <tr key={a.id}>
+                    <th className="px-1 text-right font-medium text-gray-600 whitespace-nowrap">{a.name}</th>
+                    {players.map(b => {
+                      if (a.id === b.id) return <td key={b.id} className="rounded-lg bg-gray-100 text-center text-gray-400">—</td>;
+                      const c = h2h[a.id][b.id];
+                      if (c.games === 0) return <td key={b.id} className="rounded-lg bg-gray-50 text-center text-gray-300">0</td>;
+                      return (
+                        <td
+                          key={b.id}
+                          className={cls("rounded-lg px-2 py-1 text-center tabular-nums cursor-pointer hover:ring-2 ring-gray-300", c.net > 0 ? "bg-green-50" : c.net < 0 ? "bg-red-50" : "bg-gray-50")}
+                          onClick={() => openGames(a.id, b.id)}
+                          title={t("h2h.cellTitle", { a: a.name, b: b.name })}
+                        >
+                          <div>{t("h2h.games", { n: c.games })}</div>
+                          <div>{c.ahead}-{c.behind}</div>
+                          <div className={c.net > 0 ? "text-green-700" : c.net < 0 ? "text-red-700" : ""}>{formatScore(c.net, { signed: true })}</div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  function SettingsDialog() {
+  const [tempBonus, setTempBonus] = useState(rankBonus.map(String));
+  const [tempTopK, setTempTopK] = useState(topK.toString());
+  const [tempTiePolicy, setTempTiePolicy] = useState(tiePolicy);
+  const [tempRulesetId, setTempRulesetId] = useState(rulesetId);
+  const [tempLanguage, setTempLanguage] = useState(language);
+  // Custom profiles are edited as strings and parsed on save
+  const [tempCustom, setTempCustom] = useState(() => customRulesets.map(rulesetToForm));
+
+    function rulesetToForm(r) {
+      const sanma = r.sanma ?? DEFAULT_SANMA;
+      return {
+        ...r,
+        startPoints: String(r.startPoints),
+        returnPoints: String(r.returnPoints),
+        oka: String(r.oka),
+        uma: r.uma.map(String),
+        divisor: String(r.divisor),
+        sanma: { startPoints: String(sanma.startPoints), returnPoints: String(sanma.returnPoints), oka: String(sanma.oka), uma: sanma.uma.map(String) },
+      };
+    }
+
+    function updateCustom(id, patch) {
+      setTempCustom(list => list.map(r => (r.id === id ? { ...r, ...patch } : r)));
+    }
+
+    function addCustomRuleset() {
+      const base = [...PRESET_RULESETS, ...tempCustom].find(r => r.id === tempRulesetId) ?? PRESET_RULESETS[0];
+      const form = base.id === CLUB_RULESET_ID ? { ...rulesetToForm(base), uma: [...tempBonus] } : rulesetToForm(base);
+      const id = `rs${Date.now()}`;
+      setTempCustom(list => [...list, { ...form, id, name: t("settings.customCopyName", { name: rulesetName(base) }) }]);
+      setTempRulesetId(id);
+    }
+
+    function removeCustomRuleset(id) {
+      if (rounds.some(r => r.rules?.ruleset?.id === id)) {
+        if (!window.confirm(t("settings.confirmRemoveRuleset"))) return;
+      }
+      setTempCustom(list => list.filter(r => r.id !== id));
+      if (tempRulesetId === id) setTempRulesetId(CLUB_RULESET_ID);
+    }
+
+    function onSave() {
+      const vals = tempBonus.map(Number);
+      if (vals.some(v => !Number.isFinite(v))) return alert(t("settings.err.bonus"));
+      const parsed = [];
+      for (const r of tempCustom) {
+        const next = {
+          ...r,
+          name: r.name.trim(),
+          startPoints: Number(r.startPoints),
+          returnPoints: Number(r.returnPoints),
+          oka: Number(r.oka),
+          uma: r.uma.map(Number),
+          divisor: Number(r.divisor),
+          sanma: {
+            startPoints: Number(r.sanma.startPoints),
+            returnPoints: Number(r.sanma.returnPoints),
+            oka: Number(r.sanma.oka),
+            uma: r.sanma.uma.map(Number),
+          },
+        };
+        const fields = [r.startPoints, r.returnPoints, r.oka, r.divisor, ...r.uma, r.sanma.startPoints, r.sanma.returnPoints, r.sanma.oka, ...r.sanma.uma];
+        const invalid = fields.some(v => v.trim() === "" || !Number.isFinite(Number(v)));
+        if (!next.name || invalid || next.startPoints <= 0 || next.sanma.startPoints <= 0 || next.divisor <= 0) {
+          return alert(t("settings.err.ruleset", { name: r.name || t("settings.untitled") }));
+        }
+        parsed.push(next);
+      }
+  const k = Number(tempTopK);
+  if (!Number.isFinite(k) || k < 1 || k > players.length) return alert(t("settings.err.topK"));
+  setRankBonus(vals);
+  setCustomRulesets(parsed);
+  setRulesetId(tempRulesetId);
+  setTopK(k);
+  setTiePolicy(tempTiePolicy);
+  onLanguageChange(tempLanguage);
+  setShowSettings(false);
+    }
+
+    function revertToDefault() {
+      if (!window.confirm(t("settings.confirmRevert"))) return;
+      // Remove all persisted keys and reset all state to default
+      try {
+        // Keep the undo history so the reset itself can be undone
+        TOURNAMENT_KEYS.filter(name => name !== "history").forEach(name => localStorage.removeItem(key(name)));
+      } catch {}
+      setPlayers([]);
+      setRounds([]);
+      setRankBonus(EMPTY_BONUS);
+      setTiePolicy(DEFAULT_TIE_POLICY);
+      setRulesetId(CLUB_RULESET_ID);
+      setCustomRulesets([]);
+      setGroups([]);
+      setGroupsEnabled(false);
+      setGroupTopK(2);
+      setRoundPlan(null);
+      setFinals(null);
+      setAdjustments([]);
+  setTopK(4);
+  setShowSettings(false);
+    }
+
+    const preset = PRESET_RULESETS.find(r => r.id === tempRulesetId);
+    const custom = tempCustom.find(r => r.id === tempRulesetId);
+    const shown = custom ?? preset ?? PRESET_RULESETS[0];
+    const shownSanma = shown.sanma ?? DEFAULT_SANMA;
+    const inputCls = "border rounded-xl px-3 py-2";
+
+    return (
+      <Modal title={t("settings.title")} onClose={() => setShowSettings(false)}>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm text-gray-600">{t("settings.language")}</div>
+            <select className={inputCls} value={tempLanguage} onChange={e => setTempLanguage(e.target.value)}>
+              {Object.entries(LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm text-gray-600">{t("settings.ruleset")}</div>
+            <div className="flex gap-2">
+              <select
+                className={cls(inputCls, "flex-1")}
+                value={tempRulesetId}
+                onChange={e => setTempRulesetId(e.target.value)}
+              >
+                <optgroup label={t("settings.presets")}>
+                  {PRESET_RULESETS.map(r => <option key={r.id} value={r.id}>{rulesetName(r)}</option>)}
+                </optgroup>
+                {tempCustom.length > 0 && (
+                  <optgroup label={t("settings.custom")}>
+                    {tempCustom.map(r => <option key={r.id} value={r.id}>{r.name || t("settings.untitled")}</option>)}
+                  </optgroup>
+                )}
+              </select>
+              <button className="px-3 py-2 rounded-xl border text-sm" onClick={addCustomRuleset}>{t("settings.copyAsCustom")}</button>
+            </div>
+          </div>
+
+          {custom ? (
+            <div className="border rounded-2xl p-3 space-y-3">
+              <div className="grid grid-cols-2 gap-3 items-center">
+                <div className="text-sm text-gray-600">{t("settings.name")}</div>
+                <input className={inputCls} value={custom.name} onChange={e => updateCustom(custom.id, { name: e.target.value })} />
+              </div>
+              {[
+                ["startPoints", t("settings.startPoints")],
+                ["returnPoints", t("settings.returnPoints")],
+                ["oka", t("settings.oka")],
+                ["divisor", t("settings.divisor")],
+              ].map(([field, label]) => (
+                <div key={field} className="grid grid-cols-2 gap-3 items-center">
+                  <div className="text-sm text-gray-600">{label}</div>
+                  <input
+                    className={inputCls}
+                    value={custom[field]}
+                    onChange={e => updateCustom(custom.id, { [field]: e.target.value.replace(/[^\d.-]/g, "") })}
+                  />
+                </div>
+              ))}
+              {[0,1,2,3].map(i => (
+                <div key={i} className="grid grid-cols-2 gap-3 items-center">
+                  <div className="text-sm text-gray-600">{t("settings.uma", { n: i + 1 })}</div>
+                  <input
+                    className={inputCls}
+                    value={custom.uma[i]}
+                    onChange={e => {
+                      const uma = [...custom.uma];
+                      uma[i] = e.target.value.replace(/[^\d.-]/g, "");
+                      updateCustom(custom.id, { uma });
+                    }}
+                  />
+                </div>
+              ))}
+              <div className="text-sm font-medium pt-1">{t("settings.sanmaSection")}</div>
+              {[
+                ["startPoints", t("settings.startPoints")],
+                ["returnPoints", t("settings.returnPoints")],
+                ["oka", t("settings.oka")],
+              ].map(([field, label]) => (
+                <div key={field} className="grid grid-cols-2 gap-3 items-center">
+                  <div className="text-sm text-gray-600">{label}</div>
+                  <input
+                    className={inputCls}
+                    value={custom.sanma[field]}
+                    onChange={e => updateCustom(custom.id, { sanma: { ...custom.sanma, [field]: e.target.value.replace(/[^\d.-]/g, "") } })}
+                  />
+                </div>
+              ))}
+              {[0,1,2].map(i => (
+                <div key={i} className="grid grid-cols-2 gap-3 items-center">
+                  <div className="text-sm text-gray-600">{t("settings.sanmaUma", { n: i + 1 })}</div>
+                  <input
+                    className={inputCls}
+                    value={custom.sanma.uma[i]}
+                    onChange={e => {
+                      const uma = [...custom.sanma.uma];
+                      uma[i] = e.target.value.replace(/[^\d.-]/g, "");
+                      updateCustom(custom.id, { sanma: { ...custom.sanma, uma } });
+                    }}
+                  />
+                </div>
+              ))}
+              <div className="grid grid-cols-2 gap-3 items-center">
+                <div className="text-sm text-gray-600">{t("settings.rounding")}</div>
+                <select className={inputCls} value={custom.rounding} onChange={e => updateCustom(custom.id, { rounding: e.target.value })}>
+                  {Object.entries(ROUNDING_MODES).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+                </select>
+              </div>
+              <button className="px-3 py-2 rounded-xl border text-sm text-red-700 bg-red-50" onClick={() => removeCustomRuleset(custom.id)}>{t("settings.removeRuleset")}</button>
+            </div>
+          ) : (
+            <>
+              <div className="text-xs text-gray-500">
+                {t("settings.presetSummary", { start: shown.startPoints, return: shown.returnPoints, oka: shown.oka, divisor: shown.divisor, rounding: t(ROUNDING_MODES[shown.rounding]) })}
+                {shown.id !== CLUB_RULESET_ID && t("settings.presetUma", { uma: shown.uma.join("/") })}
+                <br />
+                {t("settings.presetSanma", { start: shownSanma.startPoints, return: shownSanma.returnPoints, oka: shownSanma.oka, uma: shownSanma.uma.join("/") })}
+              </div>
+              {shown.id === CLUB_RULESET_ID && [0,1,2,3].map(i => (
+                <div key={i} className="grid grid-cols-2 gap-3 items-center">
+                  <div className="text-sm text-gray-600">{t("settings.bonus", { n: i + 1 })}</div>
+                  <input
+                    className={inputCls}
+                    value={tempBonus[i]}
+                    onChange={(e)=>{
+                      const v = e.target.value.replace(/[^\d-]/g, "");
+                      setTempBonus(arr=>{const c=[...arr]; c[i]=v; return c;});
+                    }}
+                  />
+                </div>
+              ))}
+            </>
+          )}
+          <div className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm text-gray-600">{t("settings.tiePolicy")}</div>
+            <select
+              className={inputCls}
+              value={tempTiePolicy}
+              onChange={e => setTempTiePolicy(e.target.value)}
+            >
+              {Object.entries(TIE_POLICIES).map(([value, label]) => (
+                <option key={value} value={value}>{t(label)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm text-gray-600">{t("settings.topK")}</div>
+            <input
+              className={inputCls}
+              value={tempTopK}
+              onChange={e => {
+                const v = e.target.value.replace(/[^\d]/g, "");
+                setTempTopK(v);
+              }}
+              placeholder={t("settings.topKPlaceholder")}
+            />
+          </div>
+          <div className="text-xs text-gray-500">{t("settings.explanation")}</div>
+          <div className="flex flex-col gap-2 pt-2">
+            <button className="px-4 py-2 rounded-xl border" onClick={onSave}>{t("common.save")}</button>
+            <div className="grid grid-cols-2 gap-2">
+              <button className="px-4 py-2 rounded-xl border" onClick={handleExport}>{t("settings.exportJson")}</button>
+              <button className="px-4 py-2 rounded-xl border" onClick={handlePickImportFile}>{t("settings.importJson")}</button>
+              <button className="px-4 py-2 rounded-xl border" onClick={handleExportCsv}>{t("settings.exportCsv")}</button>
+              <button className="px-4 py-2 rounded-xl border" onClick={handlePickCsvFile}>{t("settings.importCsv")}</button>
+            </div>
+            <button className="px-4 py-2 rounded-xl border" onClick={() => { setShowSettings(false); setShowPinSetup(true); }}>
+              {operatorPin ? t("settings.changePin") : t("settings.setPin")}
+            </button>
+            <button className="px-4 py-2 rounded-xl border" onClick={() => { setShowSettings(false); setShowDiagnostics(true); }}>{t("settings.diagnostics")}</button>
+            <button className="px-4 py-2 rounded-xl border" onClick={resetAll}>{t("settings.clear")}</button>
+            <button className="px-4 py-2 rounded-xl border bg-red-100 text-red-700" onClick={revertToDefault}>{t("settings.revert")}</button>
+            <button className="px-4 py-2 rounded-xl border" onClick={()=>setShowSettings(false)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  function FinalsDialog() {
+    const sizes = FINALS_SIZES.filter(n => n <= officialBoard.length);
+    const [size, setSize] = useState(() => (sizes.includes(topK) ? topK : sizes[sizes.length - 1] ?? 4));
+    const [carry, setCarry] = useState("half");
+    const preview = sizes.length ? createFinals(officialBoard, size, carry) : null;
+
+    return (
+      <Modal title={t("finals.title")} onClose={() => setShowFinals(false)}>
+        {!preview ? (
+          <div className="text-sm text-gray-600">{t("finals.needPlayers")}</div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3 items-center">
+              <div className="text-sm text-gray-600">{t("finals.size")}</div>
+              <select className="border rounded-xl px-3 py-2" value={size} onChange={e => setSize(Number(e.target.value))}>
+                {sizes.map(n => <option key={n} value={n}>{t("finals.sizeOption", { n, stages: finalsStageNames(n).join(" → ") })}</option>)}
+              </select>
+              <div className="text-sm text-gray-600">{t("finals.carryLabel")}</div>
+              <select className="border rounded-xl px-3 py-2" value={carry} onChange={e => setCarry(e.target.value)}>
+                {Object.entries(FINALS_CARRY).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+              </select>
+            </div>
+            <div className="grid md:grid-cols-2 gap-3">
+              {preview.stages[0].map((seat, ti) => (
+                <div key={ti} className="rounded-2xl bg-gray-50 p-3">
+                  <div className="text-sm font-medium mb-2">{finalsStageNames(size)[0]} · {t("round.table", { n: ti + 1 })}</div>
+                  {seat.map(pid => (
+                    <div key={pid} className="flex items-center justify-between text-sm py-0.5">
+                      <span>#{preview.seeds.indexOf(pid) + 1} {playersById[pid]?.name}</span>
+                      <span className="tabular-nums text-gray-600">{t("finals.carried", { points: formatScore(preview.carried[pid]) })}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500">
+              {t("finals.rules", { n: FINALS_ADVANCE })}
+            </div>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={() => handleStartFinals(size, carry)}>{t("finals.start")}</button>
+          </div>
+        )}
+      </Modal>
+    );
+  }
+
+  function FinalsSection() {
+    const nextTables = nextFinalsStage(finals, scoredRounds);
+    const { rows, complete } = finalsStandings;
+    return (
+      <section className="mt-6 border rounded-3xl p-4 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="font-semibold">
+            {t("finals.section")}
+            <span className="ml-2 text-sm font-normal text-gray-500">{t("finals.sectionInfo", { n: finals.size, carry: t(FINALS_CARRY[finals.carry]) })}</span>
+          </div>
+          <div className="flex gap-2 text-sm">
+            {nextTables && (
+              <button className="px-3 py-1 rounded-xl border bg-blue-50 text-blue-700" onClick={() => asOperator(handleAdvanceFinals)}>
+                {t("finals.advance", { stage: finalsStageNamesList[finals.stages.length] })}
+              </button>
+            )}
+            {complete && <button className="px-3 py-1 rounded-xl border bg-amber-50 text-amber-800" onClick={() => setShowPodium(true)}>{t("finals.podium")}</button>}
+            {!rounds.some(r => r.finals != null) && (
+              <button className="px-3 py-1 rounded-xl border" onClick={() => asOperator(handleCancelFinals)}>{t("finals.cancel")}</button>
+            )}
+          </div>
+        </div>
+        {/* Bracket: one column per stage */}
+        <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${finalsStageNamesList.length}, minmax(0, 1fr))` }}>
+          {finalsStageNamesList.map((name, s) => {
+            const tables = finals.stages[s];
+            const games = tables ? finalsStageGames(finals, s, scoredRounds) : [];
+            return (
+              <div key={s} className="space-y-3">
+                <div className="text-sm font-medium text-gray-600">{name}</div>
+                {!tables && <div className="text-sm text-gray-400">{t("finals.pending")}</div>}
+                {tables?.map((seat, ti) => {
+                  const game = games[ti];
+                  const order = game ? [...seat].sort((a, b) => finalsScores[b] - finalsScores[a]) : seat;
+                  return (
+                    <div key={ti} className={cls("rounded-2xl p-3", game ? "bg-green-50" : "bg-gray-50")}>
+                      <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+                        <span>{t("round.table", { n: ti + 1 })}</span>
+                        {!game && <button className="px-2 py-0.5 rounded-lg border bg-white" onClick={() => asOperator(() => openFinalsTable(s, ti))}>{t("finals.record")}</button>}
+                      </div>
+                      {order.map((pid, i) => (
+                        <div key={pid} className={cls("flex items-center justify-between text-sm py-0.5", game && i < FINALS_ADVANCE && tables.length > 1 ? "font-semibold" : "")}>
+                          <AvatarSmall player={playersById[pid]} />
+                          <span className="tabular-nums">{formatScore(finalsScores[pid])}</span>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+        <div>
+          <div className="text-sm font-medium text-gray-600 mb-1">{complete ? t("finals.standingsFinal") : t("finals.standings")}</div>
+          {rows.map((row, i) => (
+            <div key={row.pid} className={cls("flex items-center justify-between py-1 px-2 rounded-xl text-sm", complete && i < 3 ? "bg-amber-50" : "")}>
+              <div className="flex items-center gap-3">
+                <span className="w-5 text-right tabular-nums text-gray-500">{i + 1}</span>
+                <AvatarSmall player={playersById[row.pid]} />
+                <span className="text-xs text-gray-500">{finalsStageNamesList[row.stage]}</span>
+              </div>
+              <span className="tabular-nums font-semibold">{formatScore(row.score)}</span>
+            </div>
+          ))}
+        </div>
+      </section>
+    );
+  }
+
+  function PodiumDialog() {
+    const top = finalsStandings.rows.slice(0, 3);
+    // 2nd, 1st, 3rd from left to right
+    const podium = [[top[1], 2, "h-24", "🥈"], [top[0], 1, "h-32", "🥇"], [top[2], 3, "h-16", "🥉"]];
+    return (
+      <Modal title={t("finals.podiumTitle", { name: tournament?.name ?? "" })} onClose={() => setShowPodium(false)}>
+        <div className="flex items-end justify-center gap-4 pt-4">
+          {podium.map(([row, place, height, medal]) => row && (
+            <div key={place} className="flex flex-col items-center w-32">
+              <div className="text-4xl mb-2">{medal}</div>
+              {avatarSrc(playersById[row.pid]?.avatar) ? (
+                <img src={avatarSrc(playersById[row.pid].avatar)} alt="" className="w-20 h-20 rounded-full object-cover" />
+              ) : (
+                <div className="w-20 h-20 rounded-full bg-gray-200 flex items-center justify-center">
+                  <span className="text-xl font-semibold text-gray-600">{initials(playersById[row.pid]?.name ?? "?")}</span>
+                </div>
+              )}
+              <div className="font-semibold mt-2 text-center">{playersById[row.pid]?.name}</div>
+              <div className="text-sm text-gray-500 tabular-nums">{formatScore(row.score)}</div>
+              <div className={cls("w-full mt-2 rounded-t-2xl bg-amber-100 flex items-start justify-center pt-2 text-2xl font-bold text-amber-800", height)}>{place}</div>
+            </div>
+          ))}
+        </div>
+      </Modal>
+    );
+  }
+
+  function AdjustmentDialog() {
+    const editing = editingAdjustment.id ? editingAdjustment : null;
+    const [pid, setPid] = useState(editing?.pid ?? "");
+    const [amount, setAmount] = useState(editing ? String(editing.amount) : "");
+    const [category, setCategory] = useState(editing?.category ?? "chombo");
+    const [reason, setReason] = useState(editing?.reason ?? "");
+    const [error, setError] = useState("");
+
+    function onSave() {
+      const value = Number(amount);
+      if (!pid) return setError(t("adjust.err.player"));
+      if (amount.trim() === "" || !Number.isFinite(value) || value === 0) return setError(t("adjust.err.amount"));
+      if (category === "other" && !reason.trim()) return setError(t("adjust.err.reason"));
+      const entry = { pid, amount: value, category, reason: reason.trim() };
+      if (editing) {
+        setAdjustments(prev => prev.map(a => (a.id === editing.id ? { ...a, ...entry, editedAt: new Date().toISOString() } : a)));
+      } else {
+        setAdjustments(prev => [...prev, { id: `adj${Date.now()}`, ...entry, at: new Date().toISOString() }]);
+      }
+      setEditingAdjustment(null);
+    }
+
+    function onDelete() {
+      if (!window.confirm(t("adjust.confirmDelete"))) return;
+      setAdjustments(prev => prev.filter(a => a.id !== editing.id));
+      setEditingAdjustment(null);
+    }
+
+    const inputCls = "border rounded-xl px-3 py-2";
+    return (
+      <Modal title={editing ? t("adjust.editTitle") : t("adjust.newTitle")} onClose={() => setEditingAdjustment(null)}>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm text-gray-600">{t("adjust.player")}</div>
+            <select className={inputCls} value={pid} onChange={e => setPid(e.target.value)}>
+              <option value="">{t("round.pickPlayer")}</option>
+              {players.filter(p => !p.archived || p.id === pid).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <div className="text-sm text-gray-600">{t("adjust.category")}</div>
+            <select className={inputCls} value={category} onChange={e => setCategory(e.target.value)}>
+              {Object.entries(ADJUSTMENT_CATEGORIES).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+            </select>
+            <div className="text-sm text-gray-600">{t("adjust.amount")}</div>
+            <input className={inputCls} value={amount} placeholder={t("adjust.amountPlaceholder")} onChange={e => setAmount(e.target.value.replace(/[^\d.-]/g, ""))} />
+            <div className="text-sm text-gray-600">{t("adjust.reason")}</div>
+            <input className={inputCls} value={reason} placeholder={t("adjust.reasonPlaceholder")} onChange={e => setReason(e.target.value)} />
+          </div>
+          <div className="text-xs text-gray-500">{t("adjust.hint")}</div>
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="flex justify-end gap-3">
+            {editing && <button className="px-3 py-2 rounded-xl border text-red-700 bg-red-50 mr-auto" onClick={onDelete}>{t("common.delete")}</button>}
+            <button className="px-3 py-2 rounded-xl border" onClick={() => setEditingAdjustment(null)}>{t("common.cancel")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={onSave}>{t("common.save")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  function PinDialog() {
+    const [pin, setPin] = useState("");
+    const [error, setError] = useState("");
+    const [checking, setChecking] = useState(false);
+
+    async function onSubmit(e) {
+      e.preventDefault();
+      setChecking(true);
+      const ok = await verifyPin(pin, operatorPin).catch(() => false);
+      if (!ok) {
+        setChecking(false);
+        setPin("");
+        setError(t("pin.wrong"));
+        return;
+      }
+      const { action } = pinPrompt;
+      setPinPrompt(null);
+      onOperatorUnlockedChange(true);
+      action();
+    }
+
+    return (
+      <Modal title={t("pin.promptTitle")} onClose={() => setPinPrompt(null)}>
+        <form className="flex flex-col items-center gap-3" onSubmit={onSubmit}>
+          <div className="text-sm text-gray-600">{t("pin.promptHint")}</div>
+          <input
+            autoFocus
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            className="w-48 border rounded-xl px-3 py-2 text-center tracking-widest"
+            value={pin}
+            onChange={e => setPin(e.target.value.replace(/\D/g, ""))}
+          />
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button type="submit" className="px-4 py-2 rounded-xl bg-black text-white disabled:opacity-50" disabled={!pin || checking}>
+            {checking ? t("pin.checking") : t("pin.unlock")}
+          </button>
+        </form>
+      </Modal>
+    );
+  }
+
+  function PinSetupDialog() {
+    const [pin, setPin] = useState("");
+    const [confirmPin, setConfirmPin] = useState("");
+    const [error, setError] = useState("");
+
+    async function onSave(e) {
+      e.preventDefault();
+      if (!PIN_PATTERN.test(pin)) return setError(t("pin.err.format"));
+      if (pin !== confirmPin) return setError(t("pin.err.mismatch"));
+      try {
+        setOperatorPin(await createPinRecord(pin));
+      } catch (err) {
+        return setError(t("pin.err.create", { error: err?.message ?? err }));
+      }
+      onOperatorUnlockedChange(true);
+      setShowPinSetup(false);
+    }
+
+    function onRemove() {
+      if (!window.confirm(t("pin.confirmRemove"))) return;
+      setOperatorPin(null);
+      setShowPinSetup(false);
+    }
+
+    const inputCls = "w-48 border rounded-xl px-3 py-2 text-center tracking-widest";
+    return (
+      <Modal title={t("pin.title")} onClose={() => setShowPinSetup(false)}>
+        <form className="flex flex-col items-center gap-3" onSubmit={onSave}>
+          <div className="text-sm text-gray-600 text-center">{t("pin.setupHint")}</div>
+          <input autoFocus type="password" inputMode="numeric" autoComplete="new-password" placeholder={t("pin.new")} className={inputCls} value={pin} onChange={e => setPin(e.target.value.replace(/\D/g, ""))} />
+          <input type="password" inputMode="numeric" autoComplete="new-password" placeholder={t("pin.repeat")} className={inputCls} value={confirmPin} onChange={e => setConfirmPin(e.target.value.replace(/\D/g, ""))} />
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 rounded-xl bg-black text-white">{operatorPin ? t("pin.change") : t("pin.set")}</button>
+            {operatorPin && <button type="button" className="px-4 py-2 rounded-xl border text-red-700 bg-red-50" onClick={onRemove}>{t("pin.remove")}</button>}
+          </div>
+        </form>
+      </Modal>
+    );
+  }
+
+  function TournamentsDialog() {
+    const [names, setNames] = useState(() => Object.fromEntries(tournaments.map(x => [x.id, x.name])));
+
+    function handleCreate() {
+      const name = window.prompt(t("tournaments.newPrompt"), t("tournaments.newDefault", { n: tournaments.length + 1 }))?.trim();
+      if (!name) return;
+      const copy = window.confirm(t("tournaments.confirmCopy", { name: tournament?.name }));
+      setShowTournaments(false);
+      onCreateTournament(name, copy ? tournamentId : null);
+    }
+
+    function handleDelete(item) {
+      if (!window.confirm(t("tournaments.confirmDelete", { name: item.name }))) return;
+      onDeleteTournament(item.id);
+    }
+
+    return (
+      <Modal title={t("tournaments.title")} onClose={() => setShowTournaments(false)}>
+        <div className="space-y-3">
+          {tournaments.map(item => (
+            <div key={item.id} className="flex items-center gap-2">
+              <input
+                className="flex-1 border rounded-xl px-3 py-2"
+                value={names[item.id] ?? ""}
+                onChange={e => setNames(n => ({ ...n, [item.id]: e.target.value }))}
+                onBlur={() => {
+                  const name = names[item.id]?.trim();
+                  if (name && name !== item.name) onRenameTournament(item.id, name);
+                }}
+              />
+              {item.id === tournamentId ? (
+                <span className="px-3 py-2 text-sm text-gray-500">{t("tournaments.current")}</span>
+              ) : (
+                <button className="px-3 py-2 rounded-xl border text-sm" onClick={() => { setShowTournaments(false); onSwitchTournament(item.id); }}>{t("tournaments.switch")}</button>
+              )}
+              <button
+                className="px-3 py-2 rounded-xl border text-sm text-red-700 bg-red-50 disabled:opacity-30"
+                disabled={tournaments.length <= 1}
+                onClick={() => handleDelete(item)}
+              >{t("common.delete")}</button>
+            </div>
+          ))}
+          <div className="flex justify-end gap-3 pt-2">
+            <button className="px-4 py-2 rounded-xl border" onClick={() => setShowTournaments(false)}>{t("common.close")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={handleCreate}>{t("tournaments.new")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  function SeasonDialog() {
+    const [selected, setSelected] = useState(() => tournaments.map(x => x.id));
+    const standings = useMemo(() => computeSeasonStandings(
+      tournaments
+        .filter(x => selected.includes(x.id))
+        .map(x => ({ name: x.name, data: loadTournamentData(x.id) }))
+    ), [selected]);
+    useAvatarUrls(standings.map(r => r.avatar));
+
+    return (
+      <Modal title={t("season.title")} onClose={() => setShowSeason(false)}>
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {tournaments.map(item => {
+              const on = selected.includes(item.id);
+              return (
+                <button
+                  key={item.id}
+                  className={cls("px-3 py-1 rounded-xl border text-sm", on ? "bg-blue-100 border-blue-500" : "")}
+                  onClick={() => setSelected(sel => (on ? sel.filter(id => id !== item.id) : [...sel, item.id]))}
+                >{item.name}</button>
+              );
+            })}
+          </div>
+          <div className="text-xs text-gray-500">{t("season.hint")}</div>
+          {standings.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("season.empty")}</div>
+          ) : (
+            <div>
+              {standings.map((it, idx) => (
+                <div key={it.key}>
+                  <Row index={idx + 1} it={it} highlight={idx < topK} />
+                  <div className="text-xs text-gray-500 pl-11 -mt-1 mb-1">{t("season.rowInfo", { events: it.events, games: it.games })}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Modal>
+    );
+  }
+
+  function ImportDialog() {
+    const data = pendingImport;
+    const newPlayers = data.players.filter(p => !playersById[p.id]).length;
+    const newRounds = data.rounds.filter(r => !rounds.some(x => x.id === r.id)).length;
+    return (
+      <Modal title={t("import.title")} onClose={() => setPendingImport(null)}>
+        <div className="space-y-4">
+          <div className="text-sm">
+            {t("import.summary", { players: data.players.length, rounds: data.rounds.length })}
+          </div>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>{t("import.mergeHint", { players: newPlayers, rounds: newRounds })}</div>
+            <div>{t("import.replaceHint")}</div>
+          </div>
+          <div className="flex justify-end gap-3 pt-2">
+            <button className="px-3 py-2 rounded-xl border" onClick={() => setPendingImport(null)}>{t("common.cancel")}</button>
+            <button className="px-4 py-2 rounded-xl border" onClick={() => applyImport(data, "merge")}>{t("import.merge")}</button>
+            <button
+              className="px-4 py-2 rounded-xl bg-red-600 text-white"
+              onClick={() => {
+                if (window.confirm(t("import.confirmReplace"))) applyImport(data, "replace");
+              }}
+            >{t("import.replace")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  function CsvImportDialog() {
+    const { fileName, games, errors } = pendingCsv;
+    return (
+      <Modal title={t("csvImport.title", { file: fileName })} onClose={() => setPendingCsv(null)}>
+        <div className="space-y-4">
+          {errors.length > 0 ? (
+            <>
+              <div className="text-sm text-red-700">{t("csvImport.errors", { n: errors.length })}</div>
+              <div className="max-h-72 overflow-y-auto rounded-2xl bg-red-50 p-3 text-sm space-y-1">
+                {errors.map((e, i) => (
+                  <div key={i}><span className="tabular-nums text-red-800 font-medium">{t("csvImport.line", { n: e.line })}</span>: {e.message}</div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="text-sm">
+                {t("csvImport.summary", { games: games.length, rounds: new Set(games.map(g => g.sheetRound)).size })}
+              </div>
+              <div className="max-h-72 overflow-y-auto text-sm divide-y">
+                {games.map((g, i) => (
+                  <div key={i} className="py-1 flex flex-wrap gap-x-4">
+                    <span className="text-gray-500">{t("round.title", { n: g.sheetRound })} · {t("round.table", { n: g.table })}</span>
+                    {g.seat.map((pid, j) => <span key={pid}>{t(SEAT_NAMES[j])} {playersById[pid]?.name} {formatNumber(g.raw[j])}</span>)}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          <div className="text-xs text-gray-500">
+            {t("csvImport.columns", { columns: CSV_REQUIRED.map(k => t(CSV_COLUMNS.find(([key]) => key === k)[1])).join(t("common.listSep")) })}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button className="px-3 py-2 rounded-xl border" onClick={() => setPendingCsv(null)}>{t("common.cancel")}</button>
+            <button
+              className="px-4 py-2 rounded-xl bg-black text-white disabled:opacity-40"
+              disabled={errors.length > 0 || games.length === 0}
+              onClick={() => applyCsvImport(games)}
+            >{t("csvImport.submit", { n: games.length })}</button>
+          </div>
+        </div>
+      </Modal>
     );
   }
 
-  // ...group feature removed...
+  function DiagnosticsDialog() {
+    const data = { players, rounds, rankBonus, topK, tiePolicy, rulesetId, customRulesets, groups, groupsEnabled, groupTopK, roundPlan, finals, adjustments };
+    // Builds before totals were derived kept them under this key; nothing reads it any more
+    const [storedScores, setStoredScores] = useState(() => loadPersisted(key("playerScores"), null));
+    const findings = auditTournament(data, storedScores);
+    const report = formatAuditReport(findings, tournament?.name);
 
-  // ----------------- Dialogs -----------------
-  function RoundDialog() {
-    const [seat, setSeat] = useState(["", "", "", ""]); // E,S,W,N player ids
-    const [raw, setRaw] = useState(["", "", "", ""]); // raw points (e.g., 34500)
-    const [error, setError] = useState("");
+    function repair(finding) {
+      if (finding.kind === "rawSum") {
+        setShowDiagnostics(false);
+        openRoundDialog(finding.roundId);
+        return;
+      }
+      if (finding.kind === "scoreDrift") {
+        try {
+          localStorage.removeItem(key("playerScores"));
+        } catch (error) {
+          // The finding stays listed, and the banner says why
+          reportPersistError(key("playerScores"), error);
+          return;
+        }
+        setStoredScores(null);
+        return;
+      }
+      const patch = repairAuditFinding(data, finding);
+      if (patch.rounds) setRounds(patch.rounds);
+      if (patch.players) setPlayers(patch.players);
+      if (patch.topK !== undefined) setTopK(patch.topK);
+      if (patch.groupTopK !== undefined) setGroupTopK(patch.groupTopK);
+    }
 
-    function validate() {
-      // ensure 4 distinct players and valid numbers totaling exactly 100000
-      const unique = new Set(seat.filter(Boolean));
-      if (unique.size !== 4) return "请选择 4 位不同的玩家 (东南西北有且仅各一人)。";
-      const nums = raw.map(v => Number(v));
-      if (nums.some(n => !Number.isFinite(n))) return "请输入有效的分数(整数)。";
-      const sum = nums.reduce((a, b) => a + b, 0);
-      if (sum !== 100000) return `分数总和必须为 100000，目前为 ${sum}`;
-      return "";
+    async function copyReport() {
+      try {
+        await navigator.clipboard.writeText(report);
+        alert(t("audit.copied"));
+      } catch {
+        alert(t("audit.clipboardFailed"));
+      }
     }
 
-    function onSave() {
-      const msg = validate();
-      if (msg) return setError(msg);
+    return (
+      <Modal title={t("audit.title")} onClose={() => setShowDiagnostics(false)}>
+        <div className="space-y-4">
+          <div className="text-sm text-gray-600">{t("audit.hint")}</div>
+          {findings.length === 0 ? (
+            <div className="rounded-2xl bg-green-50 p-3 text-sm text-green-800">{t("audit.clean")}</div>
+          ) : (
+            <div className="max-h-80 overflow-y-auto space-y-2">
+              {findings.map((f, i) => (
+                <div key={i} className="rounded-2xl border p-3 flex items-start justify-between gap-3">
+                  <div className="text-sm">
+                    <div className="font-medium text-red-700">{t(AUDIT_KINDS[f.kind])}</div>
+                    <div>{f.message}</div>
+                  </div>
+                  <button className="px-3 py-1 rounded-xl border text-sm shrink-0" onClick={() => asOperator(() => repair(f))}>{t(AUDIT_REPAIRS[f.kind])}</button>
+                </div>
+              ))}
+            </div>
+          )}
+          <textarea className="w-full h-32 border rounded-xl p-2 text-xs font-mono" readOnly value={report} onFocus={e => e.target.select()} />
+          <div className="flex justify-end gap-3">
+            <button className="px-3 py-2 rounded-xl border" onClick={copyReport}>{t("audit.copy")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={() => setShowDiagnostics(false)}>{t("common.close")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
 
-      // Determine ranks by raw (higher is better). Stable sort by raw desc.
-      const seatWithRaw = seat.map((pid, idx) => ({ pid, raw: Number(raw[idx]), idx }));
-      const deltas = computeRoundDeltas(seatWithRaw, rankBonus);
-
-      // Commit to state
-      setRounds(prev => [
-        ...prev,
-        {
-          id: `r${Date.now()}`,
-          at: new Date().toISOString(),
-          seat: [...seat],
-          raw: raw.map(Number),
-          breakdown: deltas,
-        },
-      ]);
-
-      setPlayerScores(prev => {
-        const next = { ...prev };
-        for (const d of deltas) next[d.pid] = (next[d.pid] || 0) + d.delta;
-        return next;
-      });
+  function SeatingDialog() {
+    const [swiss, setSwiss] = useState(roundPlan?.swiss ?? false);
+    const [sanma, setSanma] = useState(roundPlan?.sanma ?? false);
+    const [available, setAvailable] = useState(() => activePlayers.map(p => p.id));
+    const [draft, setDraft] = useState(null);
 
-      setShowRoundDialog(false);
+    function generate() {
+      setDraft(generateSeating(available, rounds, { swiss, sanma, standings: playerScores }));
     }
 
-    const seatNames = ["东", "南", "西", "北"];
+    function onConfirm() {
+      if (roundPlan?.tables.some(x => !x.roundId) && !window.confirm(t("seating.confirmReplace"))) return;
+      setRoundPlan({
+        round: nextRoundNumber(rounds),
+        createdAt: new Date().toISOString(),
+        swiss,
+        sanma,
+        tables: draft.tables.map(seat => ({ seat })),
+        byes: draft.byes,
+      });
+      setShowSeating(false);
+    }
 
-    // refs for select elements
-    const selectRefs = [React.useRef(), React.useRef(), React.useRef(), React.useRef()];
-    useEffect(() => {
-      // On modal open, do not focus anything to avoid iPad bug
-    }, [showRoundDialog]);
+    function onStartManual() {
+      const count = Math.floor(available.length / 4);
+      if (roundPlan?.tables.some(x => !x.roundId) && !window.confirm(t("seating.confirmReplace"))) return;
+      handleStartManualRound(count);
+      setShowSeating(false);
+    }
 
     return (
-      <Modal title="录入一局" onClose={() => setShowRoundDialog(false)}>
+      <Modal title={t("seating.title")} onClose={() => setShowSeating(false)}>
         <div className="space-y-4">
-          {seatNames.map((label, i) => (
-            <div key={i} className="grid grid-cols-3 gap-3 items-center">
-              <div className="text-sm text-gray-600">{label}：</div>
-              <select
-                ref={selectRefs[i]}
-                className="col-span-1 border rounded-xl px-3 py-2"
-                value={seat[i]}
-                onFocus={e => {
-                  // iPad workaround: re-focus if lost
-                  setTimeout(() => {
-                    if (selectRefs[i].current) selectRefs[i].current.focus();
-                  }, 0);
-                }}
-                onChange={(e) => {
-                  const v = e.target.value;
-                  setSeat(s => {
-                    const copy = [...s];
-                    copy[i] = v;
-                    return copy;
-                  });
-                }}
-              >
-                <option value="">选择玩家</option>
-                {players.map(p => (
-                  <option key={p.id} value={p.id}>{p.name}</option>
-                ))}
-              </select>
-              <input
-                className="col-span-1 border rounded-xl px-3 py-2"
-                placeholder="该位原始点数"
-                value={raw[i]}
-                onChange={e => {
-                  const v = e.target.value.replace(/[^\d-]/g, "");
-                  setRaw(r => { const c = [...r]; c[i] = v; return c; });
-                }}
-              />
+          <div>
+            <div className="text-sm text-gray-600 mb-2">{t("seating.players")}</div>
+            <div className="flex flex-wrap gap-2">
+              {activePlayers.map(p => {
+                const on = available.includes(p.id);
+                return (
+                  <button
+                    key={p.id}
+                    className={cls("px-3 py-1 rounded-xl border text-sm", on ? "bg-blue-100 border-blue-500" : "opacity-50")}
+                    onClick={() => setAvailable(a => (on ? a.filter(id => id !== p.id) : [...a, p.id]))}
+                  >{p.name}</button>
+                );
+              })}
             </div>
-          ))}
-
-          {error && <div className="text-red-600 text-sm">{error}</div>}
-
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={swiss} onChange={e => setSwiss(e.target.checked)} />
+            {t("seating.swiss")}
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={sanma} onChange={e => setSanma(e.target.checked)} />
+            {t("seating.sanma")}
+          </label>
+          <div className="text-xs text-gray-500">{t("seating.hint")}</div>
+          {available.length < (sanma ? 3 : 4) ? (
+            <div className="text-sm text-red-600">{t("seating.needPlayers", { n: sanma ? 3 : 4 })}</div>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              <button className="px-4 py-2 rounded-xl border" onClick={generate}>{draft ? t("seating.regenerate") : t("seating.generate")}</button>
+              <button className="px-4 py-2 rounded-xl border" onClick={onStartManual}>{t("seating.manual", { n: Math.floor(available.length / 4) })}</button>
+            </div>
+          )}
+          {draft && (
+            <div className="space-y-3">
+              {draft.tables.map((seat, ti) => (
+                <div key={ti} className="rounded-2xl bg-gray-50 p-3">
+                  <div className="text-sm font-medium mb-2">{t("round.table", { n: ti + 1 })}{seat.length === 3 ? t("seating.tableType", { type: t(TABLE_TYPES[3]) }) : ""}</div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {seat.map((pid, i) => (
+                      <div key={pid} className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500 w-5">{t(SEAT_NAMES[i])}</span>
+                        <AvatarSmall player={playersById[pid]} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {draft.byes.length > 0 && (
+                <div className="text-sm text-gray-600">{t("seating.byes", { names: draft.byes.map(pid => playersById[pid]?.name).join(t("common.listSep")) })}</div>
+              )}
+            </div>
+          )}
           <div className="flex justify-end gap-3 pt-2">
-            <button className="px-3 py-2 rounded-xl border" onClick={() => setShowRoundDialog(false)}>取消</button>
-            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={onSave}>保存</button>
+            <button className="px-3 py-2 rounded-xl border" onClick={() => setShowSeating(false)}>{t("common.cancel")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white disabled:opacity-30" disabled={!draft} onClick={onConfirm}>{t("seating.confirm")}</button>
           </div>
         </div>
       </Modal>
     );
   }
 
-  function SettingsDialog() {
-  const [tempBonus, setTempBonus] = useState(rankBonus.map(String));
-  const [tempTopK, setTempTopK] = useState(topK.toString());
+  function GroupsDialog() {
+    const [enabled, setEnabled] = useState(groupsEnabled);
+    const [size, setSize] = useState(String(groups[0]?.members.length ?? 2));
+    const [draft, setDraft] = useState(() => groups.map(g => ({ ...g, members: [...g.members] })));
+    const [tempTopK, setTempTopK] = useState(String(groupTopK));
+    const [error, setError] = useState("");
+    const teamSize = Math.max(2, Number(size) || 2);
+
+    // Resize every team to the chosen size, keeping members that still fit
+    function resize(n) {
+      setSize(n);
+      const m = Math.max(2, Number(n) || 2);
+      setDraft(d => d.map(g => ({ ...g, members: Array.from({ length: m }, (_, i) => g.members[i] ?? "") })));
+    }
+
+    function addTeam() {
+      setDraft(d => [...d, { id: `g${Date.now()}`, name: t("groups.defaultName", { n: d.length + 1 }), members: Array(teamSize).fill("") }]);
+    }
+
+    // Random teams from the current roster; players that don't fill a team sit out
+    function shuffleTeams() {
+      const pool = shuffled(activePlayers.map(p => p.id));
+      const next = [];
+      for (let i = 0; i + teamSize <= pool.length; i += teamSize) {
+        next.push({ id: `g${Date.now()}_${next.length}`, name: t("groups.defaultName", { n: next.length + 1 }), members: pool.slice(i, i + teamSize) });
+      }
+      setDraft(next);
+    }
+
+    function validate() {
+      if (!enabled) return "";
+      if (draft.length < 2) return t("groups.err.count");
+      const seen = new Set();
+      for (const g of draft) {
+        if (!g.name.trim()) return t("groups.err.name");
+        if (g.members.length !== teamSize || g.members.some(m => !m)) return t("groups.err.members", { name: g.name, n: teamSize });
+        for (const m of g.members) {
+          if (seen.has(m)) return t("groups.err.duplicate", { name: playersById[m]?.name ?? m });
+          seen.add(m);
+        }
+      }
+      const k = Number(tempTopK);
+      if (!Number.isInteger(k) || k < 1 || k > draft.length) return t("groups.err.topK");
+      return "";
+    }
 
     function onSave() {
-      const vals = tempBonus.map(Number);
-      if (vals.some(v => !Number.isFinite(v))) return alert("请输入有效的数字");
-  const k = Number(tempTopK);
-  if (!Number.isFinite(k) || k < 1 || k > players.length) return alert("请输入有效的Top K (1~玩家数)");
-  setRankBonus(vals);
-  setTopK(k);
-  setShowSettings(false);
+      const msg = validate();
+      if (msg) return setError(msg);
+      setGroupsEnabled(enabled);
+      if (enabled) {
+        setGroups(draft.map(g => ({ ...g, name: g.name.trim() })));
+        setGroupTopK(Number(tempTopK));
+      }
+      setShowGroups(false);
     }
 
-    function revertToDefault() {
-      if (!window.confirm("确定要恢复到默认状态吗？此操作不可撤销。")) return;
-      // Remove all persisted keys and reset all state to default
-      try {
-        [
-          "mt_players",
-          "mt_playerScores",
-          "mt_rounds",
-          "mt_rankBonus",
-          "mt_groupsEnabled",
-          "mt_groups"
-        ].forEach(k => localStorage.removeItem(k));
-      } catch {}
-      setPlayers([]);
-      setPlayerScores({});
-      setRounds([]);
-      setRankBonus(EMPTY_BONUS);
-  setTopK(4);
-  setShowSettings(false);
+    if (groupsLocked) {
+      return (
+        <Modal title={t("groups.lockedTitle")} onClose={() => setShowGroups(false)}>
+          <div className="space-y-3">
+            <div className="text-sm text-gray-500">{t("groups.lockedHint")}</div>
+            {groupsEnabled ? groups.map(g => (
+              <div key={g.id} className="flex items-center gap-3 rounded-2xl bg-gray-50 p-3">
+                <div className="font-medium w-24">{g.name}</div>
+                {g.members.map(pid => <AvatarSmall key={pid} player={playersById[pid]} />)}
+              </div>
+            )) : <div className="text-sm">{t("groups.disabled")}</div>}
+          </div>
+        </Modal>
+      );
     }
 
     return (
-      <Modal title="设置：位次加减分" onClose={() => setShowSettings(false)}>
+      <Modal title={t("groups.title")} onClose={() => setShowGroups(false)}>
         <div className="space-y-4">
-          {[0,1,2,3].map(i => (
-            <div key={i} className="grid grid-cols-2 gap-3 items-center">
-              <div className="text-sm text-gray-600">第 {i+1} 名加减分：</div>
-              <input
-                className="border rounded-xl px-3 py-2"
-                value={tempBonus[i]}
-                onChange={(e)=>{
-                  const v = e.target.value.replace(/[^\d-]/g, "");
-                  setTempBonus(arr=>{const c=[...arr]; c[i]=v; return c;});
-                }}
-              />
-            </div>
-          ))}
-          <div className="grid grid-cols-2 gap-3 items-center">
-            <div className="text-sm text-gray-600">排行榜Top K：</div>
-            <input
-              className="border rounded-xl px-3 py-2"
-              value={tempTopK}
-              onChange={e => {
-                const v = e.target.value.replace(/[^\d]/g, "");
-                setTempTopK(v);
-              }}
-              placeholder="Top K"
-            />
-          </div>
-          <div className="text-xs text-gray-500">说明：一局中每位玩家最终得分 = (原始点数 - 30000)/1000 + 对应名次加减分。排行榜Top K用于分割线显示。</div>
-          <div className="flex flex-col gap-2 pt-2">
-            <button className="px-4 py-2 rounded-xl border" onClick={onSave}>保存</button>
-            <button className="px-4 py-2 rounded-xl border" onClick={resetAll}>清空数据</button>
-            <button className="px-4 py-2 rounded-xl border bg-red-100 text-red-700" onClick={revertToDefault}>恢复默认（清除所有数据）</button>
-            <button className="px-4 py-2 rounded-xl border" onClick={()=>setShowSettings(false)}>取消</button>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} />
+            {t("groups.enable")}
+          </label>
+          {enabled && (
+            <>
+              <div className="grid grid-cols-2 gap-3 items-center">
+                <div className="text-sm text-gray-600">{t("groups.size")}</div>
+                <input className="border rounded-xl px-3 py-2" value={size} onChange={e => resize(e.target.value.replace(/[^\d]/g, ""))} />
+              </div>
+              <div className="grid grid-cols-2 gap-3 items-center">
+                <div className="text-sm text-gray-600">{t("groups.topK")}</div>
+                <input className="border rounded-xl px-3 py-2" value={tempTopK} onChange={e => setTempTopK(e.target.value.replace(/[^\d]/g, ""))} />
+              </div>
+              {draft.map((g, gi) => (
+                <div key={g.id} className="flex flex-wrap items-center gap-2 rounded-2xl bg-gray-50 p-3">
+                  <input
+                    className="w-28 border rounded-xl px-3 py-2"
+                    value={g.name}
+                    onChange={e => setDraft(d => d.map((x, i) => (i === gi ? { ...x, name: e.target.value } : x)))}
+                  />
+                  {g.members.map((pid, mi) => (
+                    <select
+                      key={mi}
+                      className="border rounded-xl px-3 py-2"
+                      value={pid}
+                      onChange={e => setDraft(d => d.map((x, i) => (i === gi
+                        ? { ...x, members: x.members.map((m, j) => (j === mi ? e.target.value : m)) }
+                        : x)))}
+                    >
+                      <option value="">{t("groups.pickMember")}</option>
+                      {players.filter(p => !p.archived || p.id === pid).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                  ))}
+                  <button className="px-2 py-1 rounded-xl border text-red-700" onClick={() => setDraft(d => d.filter((_, i) => i !== gi))}>✕</button>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button className="px-3 py-2 rounded-xl border text-sm" onClick={addTeam}>{t("groups.add")}</button>
+                <button className="px-3 py-2 rounded-xl border text-sm" onClick={shuffleTeams}>{t("groups.shuffle")}</button>
+              </div>
+            </>
+          )}
+
+          {error && <div className="text-red-600 text-sm">{error}</div>}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button className="px-3 py-2 rounded-xl border" onClick={() => setShowGroups(false)}>{t("common.cancel")}</button>
+            <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={onSave}>{t("common.save")}</button>
           </div>
         </div>
       </Modal>
     );
   }
 
-  // ...group feature removed...
-
   // ----------------- UI Subcomponents -----------------
   function Modal({ title, children, onClose }) {
     return (
@@ -345,7 +4129,7 @@ export default function MahjongTournamentTracker() {
   }
 
   function Avatar({ player, size = 10 }) {
-    const avatar = player.avatar?.trim();
+    const avatar = avatarSrc(player.avatar);
     const sizeCls = `w-${size} h-${size}`;
     return (
       <div className="flex items-center gap-3">
@@ -364,60 +4148,190 @@ export default function MahjongTournamentTracker() {
     );
   }
 
+  // `player` may be missing when a game references a player removed outside the app (e.g. an old import)
   function AvatarSmall({ player }) {
-    const avatar = player.avatar?.trim();
+    const avatar = avatarSrc(player?.avatar);
+    const name = player?.name ?? t("player.unknown");
     return (
       <div className="flex items-center gap-2">
         {avatar ? (
-          <img src={avatar} alt={player.name} className="w-6 h-6 rounded-full object-cover" />
+          <img src={avatar} alt={name} className="w-6 h-6 rounded-full object-cover" />
         ) : (
           <div className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center">
-            <span className="text-[10px] font-semibold text-gray-600">{initials(player.name)}</span>
+            <span className="text-[10px] font-semibold text-gray-600">{player ? initials(name) : "?"}</span>
+          </div>
+        )}
+        <span className={player ? "" : "text-gray-400"}>{name}</span>
+        {player?.archived && <span className="text-[10px] text-gray-400">{t("player.withdrawn")}</span>}
+      </div>
+    );
+  }
+
+  function AdjustmentCard({ a }) {
+    return (
+      <div className={cls("rounded-3xl border p-3 flex flex-wrap items-center justify-between gap-3", a.reversedAt ? "bg-gray-50 text-gray-400" : "bg-amber-50 border-amber-100")}>
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-xs px-2 py-0.5 rounded-lg bg-white border">{ADJUSTMENT_CATEGORIES[a.category] ? t(ADJUSTMENT_CATEGORIES[a.category]) : a.category}</span>
+          <AvatarSmall player={playersById[a.pid]} />
+          <span className={cls("font-semibold tabular-nums", a.reversedAt ? "line-through" : "")}>{formatScore(a.amount, { signed: true })}</span>
+          {a.reason && <span className="text-sm">{a.reason}</span>}
+          {a.reversedAt && <span className="text-xs">{t("adjust.reversed")}</span>}
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-500">{formatDateTime(a.at)}</span>
+          <button className="px-2 py-1 rounded-xl border bg-white" onClick={() => asOperator(() => setEditingAdjustment(a))}>{t("common.edit")}</button>
+          <button className="px-2 py-1 rounded-xl border bg-white" onClick={() => asOperator(() => handleToggleReverseAdjustment(a.id))}>{a.reversedAt ? t("adjust.restore") : t("adjust.reverse")}</button>
+        </div>
+      </div>
+    );
+  }
+
+  // One table's result inside a round of the history
+  function TableCard({ r, showTable }) {
+    return (
+      <div className="rounded-3xl border border-gray-100 p-3">
+        <div className="flex items-center justify-between text-sm text-gray-500 mb-2">
+          <div>
+            {showTable ? t("round.table", { n: r.table ?? 1 }) : ""}
+            {r.seat.length === 3 && <span className="ml-2 text-xs px-2 py-0.5 rounded-lg bg-sky-50 text-sky-700">{t(TABLE_TYPES[3])}</span>}
+          </div>
+          <div className="flex items-center gap-2">
+            <span>{formatDateTime(r.at)}</span>
+            <button
+              className={cls("px-2 py-1 rounded-xl border", r.rules ? "bg-amber-50 text-amber-700" : "")}
+              title={r.rules ? t("history.frozenTitle") : t("history.freezeTitle")}
+              onClick={() => asOperator(() => handleToggleFreezeRound(r.id))}
+            >
+              {r.rules
+                ? t("history.frozen", { name: rulesetName(frozenRuleset(r.rules)), uma: tableRuleset(frozenRuleset(r.rules), r.seat.length).uma.join("/") })
+                : t("history.freeze")}
+            </button>
+            <button className="px-2 py-1 rounded-xl border" onClick={() => asOperator(() => openRoundDialog(r.id))}>{t("common.edit")}</button>
+            <button className="px-2 py-1 rounded-xl border text-red-700 bg-red-50" onClick={() => asOperator(() => handleDeleteRound(r.id))}>{t("common.delete")}</button>
+          </div>
+        </div>
+        <div className="grid md:grid-cols-2 gap-3">
+          {r.breakdown.map((b, i) => {
+            const p = playersById[b.pid];
+            const seatName = t(SEAT_NAMES[i]);
+            return (
+              <div key={b.pid} className="flex items-center justify-between rounded-2xl bg-gray-50 p-3">
+                <div className="flex items-center gap-3">
+                  <div className="text-xs text-gray-500 w-5">{seatName}</div>
+                  <AvatarSmall player={p} />
+                </div>
+                <div className="text-right">
+                  <div className="text-sm text-gray-500 tabular-nums">{t("history.raw", { raw: formatNumber(b.raw) })}</div>
+                  <div className="font-semibold tabular-nums">
+                    {t("history.delta", { delta: formatScore(b.delta), base: formatScore(b.base), bonus: formatScore(b.bonus) })}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <TieNote breakdown={r.breakdown} />
+        {r.hands && (
+          <div className="mt-2">
+            <button
+              className="text-xs text-blue-700"
+              onClick={() => setExpandedHandLog(expandedHandLog === r.id ? null : r.id)}
+            >{expandedHandLog === r.id ? t("history.hideHands") : t("history.showHands", { n: r.hands.length })}</button>
+            {expandedHandLog === r.id && (
+              <div className="mt-2 space-y-1 text-sm">
+                {replayHands(r.hands, (r.rules ? frozenRuleset(r.rules) : ruleset).startPoints).log.map((entry, i) => (
+                  <div key={i} className="flex items-center justify-between gap-2 rounded-xl bg-gray-50 px-3 py-1">
+                    <span className="text-gray-600">{entry.label} · {describeHand(entry.hand, r.seat)}</span>
+                    <span className="tabular-nums text-gray-500">{entry.transfers.map(v => (v > 0 ? `+${v}` : v)).join(" / ")}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )}
-        <span>{player.name}</span>
+      </div>
+    );
+  }
+
+  // Explains how equal raw scores in a round were ranked
+  function TieNote({ breakdown }) {
+    const tied = breakdown.filter(b => b.tie);
+    if (tied.length === 0) return null;
+    const groups = Object.values(tied.reduce((acc, b) => {
+      (acc[b.raw] ||= []).push(b);
+      return acc;
+    }, {}));
+    return (
+      <div className="mt-2 text-xs text-amber-700 space-y-1">
+        {groups.map(g => {
+          const names = g.map(b => playersById[b.pid]?.name ?? b.pid).join(t("common.listSep"));
+          const ranks = g.map(b => b.rank);
+          return (
+            <div key={g[0].raw}>
+              {t("tie.note", { raw: formatNumber(g[0].raw), names })}
+              {g[0].tie === "split"
+                ? t("tie.noteSplit", { rank: ranks[0], last: ranks[0] + g.length - 1, bonus: formatScore(g[0].bonus) })
+                : t("tie.noteSeat", { ranks: ranks.join(t("common.listSep")) })}
+            </div>
+          );
+        })}
       </div>
     );
   }
 
   // Leaderboard rows with divider after top 4
   function Leaderboard({ items, title, isGroup }) {
-    // Use topK for player leaderboard
-    const k = isGroup ? 2 : topK;
+    // Each board has its own cutoff line
+    const k = isGroup ? groupTopK : topK;
     return (
       <div className="border rounded-3xl p-4 shadow-sm">
         <div className="flex items-center justify-between mb-3">
           <div className="font-semibold">{title}</div>
-          <div className="text-xs text-gray-500">单位：分</div>
+          <div className="flex items-center gap-2 text-xs">
+            {!isGroup && hasSanma && (
+              <div className="flex gap-1">
+                {["all", "4", "3"].map(value => (
+                  <button key={value} className={cls("px-2 py-1 rounded-xl border", boardFilter === value ? "bg-gray-100" : "")} onClick={() => setTableFilter(value)}>{t(TABLE_FILTERS[value])}</button>
+                ))}
+              </div>
+            )}
+            <span className="text-gray-500">{t("common.unitPoints")}</span>
+          </div>
         </div>
+        {!isGroup && boardFilter !== "all" && (
+          <div className="text-xs text-gray-500 mb-2">{t("leaderboard.filterNote", { type: t(TABLE_TYPES[boardFilter]) })}</div>
+        )}
         <div>
           {isGroup
-            ? items.slice(0,2).map((it, idx) => (
+            ? items.slice(0,k).map((it, idx) => (
                 <GroupRow key={it.key} index={idx+1} it={it} highlight />
               ))
             : items.slice(0,k).map((it, idx) => (
-                <Row key={it.key} index={idx+1} it={it} highlight />
+                <Row key={it.key} index={idx+1} it={it} highlight onClick={() => setStatsPlayerId(it.key)} />
               ))}
           <div className="my-2 h-px bg-gradient-to-r from-transparent via-gray-300 to-transparent" />
           {isGroup
-            ? items.slice(2).map((it, i) => (
-                <GroupRow key={it.key} index={i+3} it={it} />
+            ? items.slice(k).map((it, i) => (
+                <GroupRow key={it.key} index={i+k+1} it={it} />
               ))
             : items.slice(k).map((it, i) => (
-                <Row key={it.key} index={i+k+1} it={it} />
+                <Row key={it.key} index={i+k+1} it={it} onClick={() => setStatsPlayerId(it.key)} />
               ))}
         </div>
       </div>
     );
   }
 
-  function Row({ index, it, highlight }) {
+  function Row({ index, it, highlight, onClick }) {
     return (
-      <div className={cls("flex items-center justify-between py-2 px-2 rounded-2xl", highlight ? "bg-gray-50" : "") }>
+      <div
+        className={cls("flex items-center justify-between py-2 px-2 rounded-2xl", highlight ? "bg-gray-50" : "", onClick ? "cursor-pointer hover:bg-gray-100" : "")}
+        onClick={onClick}
+      >
         <div className="flex items-center gap-3">
           <div className="w-6 text-right tabular-nums text-gray-500">{index}</div>
-          {it.avatar ? (
-            <img src={it.avatar} alt={it.name} className="w-8 h-8 rounded-full object-cover" />
+          {avatarSrc(it.avatar) ? (
+            <img src={avatarSrc(it.avatar)} alt={it.name} className="w-8 h-8 rounded-full object-cover" />
           ) : (
             <div className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center">
               <span className="text-[11px] font-semibold text-gray-600">{initials(it.name)}</span>
@@ -425,19 +4339,135 @@ export default function MahjongTournamentTracker() {
           )}
           <div className="font-medium">{it.name}</div>
         </div>
-        <div className="font-semibold tabular-nums">{it.score.toFixed(1)}</div>
+        <div className="font-semibold tabular-nums">{formatScore(it.score)}</div>
+      </div>
+    );
+  }
+
+  // Cumulative score per round, or standings per round ("bump" chart) with the Top K cutoff
+  function ProgressChart() {
+    const [mode, setMode] = useState("score");
+    const [focus, setFocus] = useState(null);
+    const { scores, ranks } = progression;
+    const labels = [t("chart.start"), ...progression.labels];
+    const W = 560, H = 300, padL = 44, padR = 12, padT = 12, padB = 28;
+    const x = i => padL + (labels.length > 1 ? (i * (W - padL - padR)) / (labels.length - 1) : 0);
+    const series = mode === "score" ? scores : ranks;
+    const all = Object.values(scores).flat();
+    const lo = Math.min(0, ...all), hi = Math.max(0, ...all);
+    const span = hi - lo || 1;
+    const n = activePlayers.length;
+    const y = mode === "score"
+      ? v => padT + ((hi - v) * (H - padT - padB)) / span
+      : v => padT + ((v - 1) * (H - padT - padB)) / Math.max(n - 1, 1);
+    const ticks = mode === "score"
+      ? [hi, (hi + lo) / 2, lo]
+      : Array.from({ length: n }, (_, i) => i + 1);
+
+    return (
+      <div className="border rounded-3xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">{mode === "score" ? t("chart.score") : t("chart.rank")}</div>
+          <div className="flex gap-1 text-xs">
+            <button className={cls("px-2 py-1 rounded-xl border", mode === "score" ? "bg-gray-100" : "")} onClick={() => setMode("score")}>{t("chart.scoreTab")}</button>
+            <button className={cls("px-2 py-1 rounded-xl border", mode === "rank" ? "bg-gray-100" : "")} onClick={() => setMode("rank")}>{t("chart.rankTab")}</button>
+          </div>
+        </div>
+        {labels.length < 2 ? (
+          <div className="text-sm text-gray-500">{t("chart.empty")}</div>
+        ) : (
+          <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+            {ticks.map((tick, i) => (
+              <g key={i}>
+                <line x1={padL} x2={W - padR} y1={y(tick)} y2={y(tick)} stroke="#f3f4f6" />
+                <text x={padL - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{mode === "score" ? formatNumber(tick) : tick}</text>
+              </g>
+            ))}
+            {mode === "score" && lo < 0 && <line x1={padL} x2={W - padR} y1={y(0)} y2={y(0)} stroke="#d1d5db" />}
+            {mode === "rank" && topK < n && (
+              <line x1={padL} x2={W - padR} y1={(y(topK) + y(topK + 1)) / 2} y2={(y(topK) + y(topK + 1)) / 2} stroke="#9ca3af" strokeDasharray="4 4" />
+            )}
+            {labels.map((l, i) => (
+              <text key={l} x={x(i)} y={H - 8} textAnchor="middle" fontSize="10" fill="#6b7280">{l}</text>
+            ))}
+            {activePlayers.map((p, pi) => {
+              const values = series[p.id] ?? [];
+              const color = CHART_COLORS[pi % CHART_COLORS.length];
+              const dim = focus && focus !== p.id;
+              return (
+                <g key={p.id} opacity={dim ? 0.15 : 1} onMouseEnter={() => setFocus(p.id)} onMouseLeave={() => setFocus(null)}>
+                  <polyline
+                    fill="none"
+                    stroke={color}
+                    strokeWidth={focus === p.id ? 3 : 2}
+                    points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+                  />
+                  {values.map((v, i) => (
+                    <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={color}>
+                      <title>{t("chart.pointScore", { name: p.name, label: labels[i], value: mode === "score" ? formatScore(v) : t("stats.place", { n: v }) })}</title>
+                    </circle>
+                  ))}
+                </g>
+              );
+            })}
+          </svg>
+        )}
+        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs">
+          {activePlayers.map((p, pi) => (
+            <button
+              key={p.id}
+              className={cls("flex items-center gap-1", focus && focus !== p.id ? "opacity-40" : "")}
+              onClick={() => setFocus(focus === p.id ? null : p.id)}
+            >
+              <span className="inline-block w-3 h-1.5 rounded-full" style={{ background: CHART_COLORS[pi % CHART_COLORS.length] }} />
+              {p.name}
+            </button>
+          ))}
+        </div>
+        {mode === "rank" && topK < n && <div className="text-xs text-gray-500 mt-1">{t("chart.cutLine", { n: topK })}</div>}
       </div>
     );
   }
 
-  // ...group feature removed...
+  function GroupRow({ index, it, highlight }) {
+    return (
+      <div className={cls("flex items-center justify-between py-2 px-2 rounded-2xl", highlight ? "bg-gray-50" : "") }>
+        <div className="flex items-center gap-3">
+          <div className="w-6 text-right tabular-nums text-gray-500">{index}</div>
+          <div className="flex -space-x-2">
+            {it.members.map(pid => {
+              const p = playersById[pid];
+              return avatarSrc(p?.avatar) ? (
+                <img key={pid} src={avatarSrc(p.avatar)} alt={p.name} className="w-8 h-8 rounded-full object-cover ring-2 ring-white" />
+              ) : (
+                <div key={pid} className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center ring-2 ring-white">
+                  <span className="text-[11px] font-semibold text-gray-600">{initials(p?.name ?? "?")}</span>
+                </div>
+              );
+            })}
+          </div>
+          <div className="leading-tight">
+            <div className="font-medium">{it.name}</div>
+            <div className="text-xs text-gray-500">{it.members.map(pid => playersById[pid]?.name ?? "?").join(" · ")}</div>
+          </div>
+        </div>
+        <div className="font-semibold tabular-nums">{formatScore(it.score)}</div>
+      </div>
+    );
+  }
 
   // --------------- Derived leaderboards ---------------
-  const playerBoard = useMemo(() => {
-    return players
-      .map(p => ({ key: p.id, name: p.name, avatar: p.avatar, score: playerScores[p.id] || 0 }))
-      .sort((a, b) => b.score - a.score);
-  }, [players, playerScores]);
+  // The combined board is the official one; a 4p- or 3p-only view counts just those tables, without adjustments
+  const hasSanma = qualifyingRounds.some(r => r.seat.length === 3);
+  const boardFilter = hasSanma ? tableFilter : "all";
+  // Finals are always seeded from the official board, whatever view is on screen
+  const officialBoard = useMemo(() => computePlayerStandings(activePlayers, playerScores), [activePlayers, playerScores]);
+  const playerBoard = useMemo(() => (boardFilter === "all"
+    ? officialBoard
+    : computePlayerStandings(activePlayers, computeTotals(qualifyingRounds.filter(r => r.seat.length === Number(boardFilter)), activePlayers.map(p => p.id)))
+  ), [officialBoard, activePlayers, qualifyingRounds, boardFilter]);
+
+  const groupBoard = useMemo(() => computeGroupStandings(groups, playerScores), [groups, playerScores]);
 
   // Add Player Modal UI state
 
@@ -450,55 +4480,39 @@ export default function MahjongTournamentTracker() {
     }, 0);
   }
 
-  // SHA-256 hash of the password (replace with your own hash)
-  const SHARKY_HASH = "67a205d59cd42fee958c8f6e3c383c82f299e5acff92ab6583794dfb50a9706d";
-
-  async function checkPassword(input) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(input.trim());
-    const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return hashHex === SHARKY_HASH;
-  }
-
-  async function handleConfirmAddPlayer() {
+  function handleConfirmAddPlayer() {
     if (!newPlayerName.trim()) return;
-    if (await checkPassword(newPlayerName.trim())) {
-      setShowAddPlayer(false);
-      setShowSharkySelect(true);
-      setSharkySelected([]);
-      return;
-    }
     const id = `p${Date.now()}`;
     setPlayers(prev => {
       const next = [...prev, { id, name: newPlayerName.trim(), avatar: newPlayerAvatar, note: "" }];
-      setTopK(Math.ceil(next.length / 2));
+      setTopK(Math.ceil(next.filter(p => !p.archived).length / 2));
       return next;
     });
-    setPlayerScores(prev => ({ ...prev, [id]: 0 }));
     setShowAddPlayer(false);
   }
 
   // --------------- Page -----------------
   return (
     <div className="p-4 md:p-6 lg:p-8 max-w-6xl mx-auto">
-      {/* Sharky special page: select default players to add */}
-      {showSharkySelect && (
-        <Modal title="选择默认玩家加入比赛" onClose={() => { setShowSharkySelect(false); setSharkySelected([]); }}>
+      {/* Default roster picker: add players from DEFAULT_PLAYERS */}
+      {showDefaultRoster && (
+        <Modal title={t("roster.title")} onClose={() => { setShowDefaultRoster(false); setDefaultRosterSelected([]); }}>
           <div className="flex flex-col gap-4 items-center">
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               {DEFAULT_PLAYERS.map(p => {
-                const selected = sharkySelected.includes(p.id);
+                const selected = defaultRosterSelected.includes(p.id);
+                const added = Boolean(playersById[p.id]);
                 return (
                   <button
                     key={p.id}
+                    disabled={added}
                     className={cls(
                       "border rounded-2xl p-4 flex flex-col items-center hover:bg-gray-50 transition",
-                      selected ? "bg-blue-100 border-blue-500" : ""
+                      selected ? "bg-blue-100 border-blue-500" : "",
+                      added ? "opacity-40 cursor-not-allowed" : ""
                     )}
                     onClick={() => {
-                      setSharkySelected(sel =>
+                      setDefaultRosterSelected(sel =>
                         sel.includes(p.id)
                           ? sel.filter(id => id !== p.id)
                           : [...sel, p.id]
@@ -513,84 +4527,86 @@ export default function MahjongTournamentTracker() {
                       </div>
                     )}
                     <span className="font-medium">{p.name}</span>
-                    {selected && <span className="mt-2 text-xs text-blue-600">已选择</span>}
+                    {selected && <span className="mt-2 text-xs text-blue-600">{t("roster.selected")}</span>}
+                    {added && <span className="mt-2 text-xs text-gray-500">{t("roster.added")}</span>}
                   </button>
                 );
               })}
             </div>
             <button
-              className={cls("mt-4 px-4 py-2 rounded-xl border", sharkySelected.length === 0 ? "opacity-50 cursor-not-allowed" : "")}
-              disabled={sharkySelected.length === 0}
+              className={cls("mt-4 px-4 py-2 rounded-xl border", defaultRosterSelected.length === 0 ? "opacity-50 cursor-not-allowed" : "")}
+              disabled={defaultRosterSelected.length === 0}
               onClick={() => {
-                const selectedPlayers = DEFAULT_PLAYERS.filter(p => sharkySelected.includes(p.id));
+                const selectedPlayers = DEFAULT_PLAYERS.filter(p => defaultRosterSelected.includes(p.id));
                 setPlayers(prev => {
                   const next = [...prev, ...selectedPlayers];
-                  setTopK(Math.ceil(next.length / 2));
-                  return next;
-                });
-                setPlayerScores(prev => {
-                  const next = { ...prev };
-                  for (const p of selectedPlayers) next[p.id] = 0;
+                  setTopK(Math.ceil(next.filter(p => !p.archived).length / 2));
                   return next;
                 });
-                setShowSharkySelect(false);
-                setSharkySelected([]);
+                setShowDefaultRoster(false);
+                setDefaultRosterSelected([]);
               }}
-            >完成</button>
+            >{t("roster.done")}</button>
           </div>
         </Modal>
       )}
       <header className="flex flex-wrap items-center justify-between gap-3 mb-5">
-        <h1 className="text-2xl font-bold">麻将赛况追踪</h1>
+        <div className="flex flex-wrap items-center gap-3">
+          <h1 className="text-2xl font-bold">{t("header.title")}</h1>
+          <select
+            className="border rounded-2xl px-3 py-2 text-sm"
+            value={tournamentId}
+            onChange={e => onSwitchTournament(e.target.value)}
+            title={t("header.switchTournament")}
+          >
+            {tournaments.map(x => <option key={x.id} value={x.id}>{x.name}</option>)}
+          </select>
+          <button onClick={() => asOperator(() => setShowTournaments(true))} className="px-3 py-2 rounded-2xl border text-sm hover:shadow">{t("header.tournaments")}</button>
+          <button onClick={() => setShowSeason(true)} className="px-3 py-2 rounded-2xl border text-sm hover:shadow">{t("header.season")}</button>
+          <button onClick={() => setShowHeadToHead(true)} className="px-3 py-2 rounded-2xl border text-sm hover:shadow">{t("header.h2h")}</button>
+          <button onClick={handleOpenBoard} className="px-3 py-2 rounded-2xl border text-sm hover:shadow" title={t("header.boardTitle")}>{t("header.board")}</button>
+          <button onClick={handleShareSnapshot} className="px-3 py-2 rounded-2xl border text-sm hover:shadow" title={t("header.shareTitle")}>{t("header.share")}</button>
+        </div>
         <div className="flex items-center gap-2">
+          <LockButton />
+          <UndoRedoButtons />
           <SettingsButton />
+          <GroupsButton />
+          {!finals && <button onClick={() => asOperator(() => setShowFinals(true))} className="px-3 py-2 rounded-2xl border text-sm hover:shadow">{t("header.finals")}</button>}
+          <SeatingButton />
+          <button onClick={() => asOperator(() => setEditingAdjustment({}))} className="px-3 py-2 rounded-2xl border text-sm hover:shadow" title={t("header.adjustTitle")}>{t("header.adjust")}</button>
           <AddRoundButton />
         </div>
       </header>
 
       {/* Players editor */}
       <section className="grid md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-        {players.map(p => (
+        {activePlayers.map(p => (
           <div key={p.id} className="border rounded-3xl p-4 relative">
-            {/* Remove player button */}
+            {/* Remove player button: withdraws players who have games, deletes the rest */}
             <button
               className="absolute top-2 right-2 w-7 h-7 rounded-full bg-red-100 text-red-700 flex items-center justify-center hover:bg-red-200"
-              title="移除玩家"
-              onClick={() => {
-                if (window.confirm(`确定要移除玩家 ${p.name} 吗？`)) {
-                  setPlayers(prev => prev.filter(pl => pl.id !== p.id));
-                  setPlayerScores(prev => {
-                    const next = { ...prev };
-                    delete next[p.id];
-                    return next;
-                  });
-                }
-              }}
+              title={t("players.remove")}
+              onClick={() => asOperator(() => handleRemovePlayer(p.id))}
             >✕</button>
             <div className="flex items-center justify-center mb-2">
               {/* AvatarLarge, clickable for upload, centered */}
               <div
                 className="cursor-pointer"
-                onClick={() => {
+                onClick={() => asOperator(() => {
                   const input = document.createElement('input');
                   input.type = 'file';
                   input.accept = 'image/*';
                   input.onchange = (e) => {
                     const file = e.target.files[0];
-                    if (file) {
-                      const reader = new FileReader();
-                      reader.onload = (ev) => {
-                        handleUpdatePlayer(p.id, { avatar: ev.target.result });
-                      };
-                      reader.readAsDataURL(file);
-                    }
+                    if (file) uploadAvatar(file, ref => handleUpdatePlayer(p.id, { avatar: ref }));
                   };
                   input.click();
-                }}
+                })}
               >
                 {/* Larger avatar, no name */}
-                {p.avatar ? (
-                  <img src={p.avatar} alt={p.name} className="w-24 h-24 rounded-full object-cover" />
+                {avatarSrc(p.avatar) ? (
+                  <img src={avatarSrc(p.avatar)} alt={p.name} className="w-24 h-24 rounded-full object-cover" />
                 ) : (
                   <div className="w-24 h-24 rounded-full bg-gray-200 flex items-center justify-center">
                     <span className="text-xl font-semibold text-gray-600">{initials(p.name)}</span>
@@ -602,20 +4618,52 @@ export default function MahjongTournamentTracker() {
               <input
                 className="w-full border rounded-xl px-3 py-2"
                 value={p.name}
+                readOnly={locked}
+                onClick={() => locked && asOperator(() => {})}
                 onChange={e => handleUpdatePlayer(p.id, { name: e.target.value })}
               />
+              <button className="w-full px-3 py-1 rounded-xl border text-sm text-gray-600 hover:bg-gray-50" onClick={() => setStatsPlayerId(p.id)}>{t("players.stats")}</button>
             </div>
           </div>
         ))}
-        <div className="border-dashed border-2 rounded-3xl p-4 flex flex-col items-center justify-center cursor-pointer hover:bg-gray-50" onClick={handleAddPlayer}>
-          <span className="text-2xl">＋</span>
-          <span className="text-sm mt-2">添加玩家</span>
+        <div className="border-dashed border-2 rounded-3xl p-4 flex flex-col items-center justify-center gap-3">
+          <button className="flex flex-col items-center hover:opacity-70" onClick={() => asOperator(handleAddPlayer)}>
+            <span className="text-2xl">＋</span>
+            <span className="text-sm mt-2">{t("players.add")}</span>
+          </button>
+          <button
+            className="px-3 py-1 rounded-xl border text-sm text-gray-600 hover:bg-gray-50"
+            onClick={() => asOperator(() => { setShowDefaultRoster(true); setDefaultRosterSelected([]); })}
+          >{t("players.importDefault")}</button>
         </div>
       </section>
 
+      {/* Withdrawn players: kept for history, can be restored or deleted for good */}
+      {archivedPlayers.length > 0 && (
+        <section className="mb-6">
+          <button className="text-sm text-gray-600" onClick={() => setShowArchived(v => !v)}>
+            {showArchived ? "▾" : "▸"} {t("players.withdrawnList", { n: archivedPlayers.length })}
+          </button>
+          {showArchived && (
+            <div className="mt-2 border rounded-3xl p-3 divide-y">
+              {archivedPlayers.map(p => (
+                <div key={p.id} className="flex items-center justify-between py-2 px-2">
+                  <AvatarSmall player={p} />
+                  <div className="flex gap-2 text-sm">
+                    <button className="px-3 py-1 rounded-xl border" onClick={() => setStatsPlayerId(p.id)}>{t("players.stats")}</button>
+                    <button className="px-3 py-1 rounded-xl border" onClick={() => asOperator(() => handleUpdatePlayer(p.id, { archived: false }))}>{t("players.restore")}</button>
+                    <button className="px-3 py-1 rounded-xl border text-red-700 bg-red-50" onClick={() => asOperator(() => handleDeletePlayer(p.id))}>{t("players.purge")}</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
       {/* Add Player Modal */}
       {showAddPlayer && (
-        <Modal title="添加新玩家" onClose={() => setShowAddPlayer(false)}>
+        <Modal title={t("players.newTitle")} onClose={() => setShowAddPlayer(false)}>
           <div className="flex flex-col items-center gap-4">
             <div className="flex flex-col items-center">
               <div
@@ -626,19 +4674,13 @@ export default function MahjongTournamentTracker() {
                   input.accept = 'image/*';
                   input.onchange = (e) => {
                     const file = e.target.files[0];
-                    if (file) {
-                      const reader = new FileReader();
-                      reader.onload = (ev) => {
-                        setNewPlayerAvatar(ev.target.result);
-                      };
-                      reader.readAsDataURL(file);
-                    }
+                    if (file) uploadAvatar(file, setNewPlayerAvatar);
                   };
                   input.click();
                 }}
               >
-                {newPlayerAvatar ? (
-                  <img src={newPlayerAvatar} alt="avatar" className="w-20 h-20 rounded-full object-cover" />
+                {avatarSrc(newPlayerAvatar) ? (
+                  <img src={avatarSrc(newPlayerAvatar)} alt={t("player.newAvatarAlt")} className="w-20 h-20 rounded-full object-cover" />
                 ) : (
                   <span className="text-4xl text-gray-400">＋</span>
                 )}
@@ -646,68 +4688,140 @@ export default function MahjongTournamentTracker() {
                   <span className="absolute inset-0 flex items-center justify-center text-4xl text-gray-400">＋</span>
                 )}
               </div>
-              <div className="text-xs text-gray-500 mb-2">点击上传头像（可选）</div>
+              <div className="text-xs text-gray-500 mb-2">{t("players.uploadHint")}</div>
             </div>
             <input
               ref={newPlayerInputRef}
               autoFocus
               className="w-48 border rounded-xl px-3 py-2 text-center"
-              placeholder="玩家名字"
+              placeholder={t("players.namePlaceholder")}
               value={newPlayerName}
               onChange={e => setNewPlayerName(e.target.value)}
             />
             <div className="flex gap-3 mt-2">
-              <button className="px-4 py-2 rounded-xl border" onClick={() => setShowAddPlayer(false)}>取消</button>
-              <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={handleConfirmAddPlayer}>添加</button>
+              <button className="px-4 py-2 rounded-xl border" onClick={() => setShowAddPlayer(false)}>{t("common.cancel")}</button>
+              <button className="px-4 py-2 rounded-xl bg-black text-white" onClick={handleConfirmAddPlayer}>{t("players.addConfirm")}</button>
             </div>
           </div>
         </Modal>
       )}
 
       {/* Boards */}
-      <section className="grid gap-4 md:grid-cols-1">
-        <Leaderboard title="个人积分榜" items={playerBoard} />
+      <section className="grid gap-4 md:grid-cols-2">
+        <Leaderboard title={finals ? t("leaderboard.qualifying") : t("leaderboard.players")} items={playerBoard} />
+        <ProgressChart />
+        {groupsEnabled && <Leaderboard title={t("leaderboard.teams")} items={groupBoard} isGroup />}
       </section>
 
-      {/* Rounds history */}
-      <section className="mt-6">
-        <div className="font-semibold mb-3">对局历史</div>
-        {rounds.length === 0 ? (
-          <div className="text-sm text-gray-500">暂无数据，点击“录入一局”开始。</div>
-        ) : (
-          <div className="space-y-3">
-            {rounds.slice().reverse().map((r, idx) => (
-              <div key={r.id} className="border rounded-3xl p-4">
-                <div className="flex items-center justify-between text-sm text-gray-500 mb-2">
-                  <div>#{rounds.length - idx}</div>
-                  <div>{new Date(r.at).toLocaleString()}</div>
+      {finals && <FinalsSection />}
+
+      {/* Current round: seating and which tables are still unreported */}
+      {roundPlan && (
+        <section className="mt-6 border rounded-3xl p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div className="font-semibold">
+              {planTitle}{roundPlan.swiss ? t("plan.swiss") : ""}
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                {t("plan.progress", { done: roundPlan.tables.filter(x => x.roundId).length, total: roundPlan.tables.length })}
+              </span>
+            </div>
+            <button
+              className="px-3 py-1 rounded-xl border text-sm"
+              onClick={() => asOperator(() => {
+                if (roundPlan.tables.some(x => !x.roundId) && !window.confirm(t("plan.confirmClear"))) return;
+                setRoundPlan(null);
+              })}
+            >{t("plan.clear")}</button>
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            {roundPlan.tables.map((table, ti) => (
+              <div key={ti} className={cls("rounded-2xl p-3", table.roundId ? "bg-green-50" : "bg-gray-50")}>
+                <div className="flex items-center justify-between mb-2">
+                  <div className="text-sm font-medium">
+                    {t("round.table", { n: ti + 1 })}{table.seat?.length === 3 ? t("seating.tableType", { type: t(TABLE_TYPES[3]) }) : ""}
+                  </div>
+                  {table.roundId ? (
+                    <span className="text-xs text-green-700">{t("plan.reported")}</span>
+                  ) : (
+                    <button className="px-3 py-1 rounded-xl border text-sm bg-white" onClick={() => asOperator(() => openRoundDialog(null, ti))}>{t("finals.record")}</button>
+                  )}
                 </div>
-                <div className="grid md:grid-cols-2 gap-3">
-                  {r.breakdown.map((b, i) => {
-                    const p = playersById[b.pid];
-                    const seatName = ["东","南","西","北"][i];
-                    return (
-                      <div key={b.pid} className="flex items-center justify-between rounded-2xl bg-gray-50 p-3">
-                        <div className="flex items-center gap-3">
-                          <div className="text-xs text-gray-500 w-5">{seatName}</div>
-                          <AvatarSmall player={p} />
-                        </div>
-                        <div className="text-right">
-                          <div className="text-sm text-gray-500 tabular-nums">原始：{b.raw}</div>
-                          <div className="font-semibold tabular-nums">增减：{b.delta.toFixed(1)} （基础 {b.base.toFixed(1)}，名次 {b.bonus.toFixed(1)}）</div>
-                        </div>
+                {table.seat ? (
+                  <div className="grid grid-cols-2 gap-2">
+                    {table.seat.map((pid, i) => (
+                      <div key={pid} className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500 w-5">{t(SEAT_NAMES[i])}</span>
+                        <AvatarSmall player={playersById[pid]} />
                       </div>
-                    );
-                  })}
-                </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-sm text-gray-500">{table.roundId ? "" : t("plan.unseated")}</div>
+                )}
               </div>
             ))}
           </div>
+          {roundPlan.byes.length > 0 && (
+            <div className="text-sm text-gray-600 mt-3">{t("seating.byes", { names: roundPlan.byes.map(pid => playersById[pid]?.name).join(t("common.listSep")) })}</div>
+          )}
+        </section>
+      )}
+
+      {/* Rounds history */}
+      <section className="mt-6" id="round-history">
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <div className="font-semibold">{t("history.title")}</div>
+          {historyFilter && (
+            <button className="px-3 py-1 rounded-xl border text-sm bg-blue-50 text-blue-700" onClick={() => setHistoryFilter(null)}>
+              {t("history.filter", { names: historyFilter.map(pid => playersById[pid]?.name ?? pid).join(t("history.filterJoin")) })}
+            </button>
+          )}
+        </div>
+        {rounds.length === 0 && adjustments.length === 0 ? (
+          <div className="text-sm text-gray-500">{t("history.empty")}</div>
+        ) : (
+          <div className="space-y-3">
+            {timeline.map(({ group: g, idx, adjustment }) => {
+              // Ledger entries are not games, so the head-to-head filter hides them
+              if (adjustment) return historyFilter ? null : <AdjustmentCard key={adjustment.id} a={adjustment} />;
+              const games = historyFilter
+                ? g.games.filter(r => historyFilter.every(pid => r.seat.includes(pid)))
+                : g.games;
+              if (games.length === 0) return null;
+              return (
+                <div key={g.key} className="border rounded-3xl p-4 space-y-3">
+                  <div className="flex items-center justify-between text-sm text-gray-500">
+                    <div className="font-medium text-gray-700">{roundTitle(g)}{g.games.length > 1 ? t("history.tableCount", { n: g.games.length }) : ""}</div>
+                    <div className="flex items-center gap-2">
+                      {/* Newest is listed first, so "up" moves the round later in the order */}
+                      <button className="px-2 py-1 rounded-xl border disabled:opacity-30" title={t("history.moveUp")} disabled={idx === 0} onClick={() => asOperator(() => handleMoveRound(g.key, 1))}>↑</button>
+                      <button className="px-2 py-1 rounded-xl border disabled:opacity-30" title={t("history.moveDown")} disabled={idx === roundGroups.length - 1} onClick={() => asOperator(() => handleMoveRound(g.key, -1))}>↓</button>
+                    </div>
+                  </div>
+                  {games.map(r => <TableCard key={r.id} r={r} showTable={g.games.length > 1 || r.table != null} />)}
+                </div>
+              );
+            })}
+          </div>
         )}
       </section>
 
   {showRoundDialog && <RoundDialog />}
   {showSettings && <SettingsDialog />}
+  {pendingImport && <ImportDialog />}
+  {pendingCsv && <CsvImportDialog />}
+  {showDiagnostics && <DiagnosticsDialog />}
+  {showTournaments && <TournamentsDialog />}
+  {showSeason && <SeasonDialog />}
+  {showGroups && <GroupsDialog />}
+  {showSeating && <SeatingDialog />}
+  {statsPlayerId && <PlayerStatsDialog />}
+  {showHeadToHead && <HeadToHeadDialog />}
+  {pinPrompt && <PinDialog />}
+  {showPinSetup && <PinSetupDialog />}
+  {showFinals && <FinalsDialog />}
+  {editingAdjustment && <AdjustmentDialog />}
+  {showPodium && <PodiumDialog />}
     </div>
   );
 }
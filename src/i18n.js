@@ -0,0 +1,1711 @@
+// UI translations. Catalogues map a message key to its text; `{name}` placeholders are filled by t().
+// Chinese is the app's original language and the fallback for any key a catalogue lacks.
+
+export const LANGUAGES = { zh: "中文", en: "English", ja: "日本語" };
+export const DEFAULT_LANGUAGE = "zh";
+// Chosen language, shared by every tournament and the spectator board
+export const LANGUAGE_KEY = "mt_language";
+const LOCALES = { zh: "zh-CN", en: "en-US", ja: "ja-JP" };
+
+let language = DEFAULT_LANGUAGE;
+const numberFormats = new Map();
+
+/** Switch the language used by t() and the format helpers from now on. */
+export function setLanguage(lang) {
+  language = lang in CATALOGUES ? lang : DEFAULT_LANGUAGE;
+  if (typeof document !== "undefined") document.documentElement.lang = LOCALES[language];
+}
+
+/**
+ * Text of a message in the active language.
+ * @param {string} key
+ * @param {Record<string, string|number>} [params] - values for the `{name}` placeholders
+ */
+export function t(key, params) {
+  const text = CATALOGUES[language][key] ?? CATALOGUES[DEFAULT_LANGUAGE][key] ?? key;
+  return params ? text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)) : text;
+}
+
+/** A message in every language, e.g. to accept CSV headers written by any of them. */
+export function allTranslations(key) {
+  return Object.values(CATALOGUES).map(catalogue => catalogue[key]).filter(Boolean);
+}
+
+// ----------------------- Formatting -----------------------
+function numberFormat(options) {
+  const id = `${language}|${JSON.stringify(options)}`;
+  if (!numberFormats.has(id)) numberFormats.set(id, new Intl.NumberFormat(LOCALES[language], options));
+  return numberFormats.get(id);
+}
+
+/**
+ * A score with a fixed number of decimals (one by default), e.g. -12.5.
+ * @param {number} value
+ * @param {{digits?:number, signed?:boolean}} [options] - `signed` puts a + in front of positive values
+ */
+export function formatScore(value, { digits = 1, signed = false } = {}) {
+  return numberFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits, signDisplay: signed ? "exceptZero" : "auto" }).format(value);
+}
+
+/** Raw points and other whole numbers, with the locale's digit grouping. */
+export function formatNumber(value) {
+  return numberFormat({ maximumFractionDigits: 0 }).format(value);
+}
+
+/** A 0..1 ratio as a percentage with one decimal. */
+export function formatPercent(ratio) {
+  return numberFormat({ style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(ratio);
+}
+
+export function formatDateTime(value) {
+  return new Date(value).toLocaleString(LOCALES[language]);
+}
+
+export function formatDate(value) {
+  return new Date(value).toLocaleDateString(LOCALES[language]);
+}
+
+export function formatTime(value) {
+  return new Date(value).toLocaleTimeString(LOCALES[language]);
+}
+
+// ----------------------- Catalogues -----------------------
+const zh = {
+  // Shared
+  "common.listSep": "、",
+  "common.cancel": "取消",
+  "common.save": "保存",
+  "common.close": "关闭",
+  "common.edit": "修改",
+  "common.delete": "删除",
+  "common.unitPoints": "单位：分",
+
+  // Seat winds
+  "wind.east": "东",
+  "wind.south": "南",
+  "wind.west": "西",
+  "wind.north": "北",
+
+  // Rules
+  "tie.seat": "按起家座位决定（东家优先，JPML/天凤）",
+  "tie.split": "平分相应名次加减分（WRC/EMA）",
+  "rounding.none": "不取整",
+  "rounding.round": "四舍五入",
+  "rounding.gotoshi": "五舍六入（天凤）",
+  "rounding.floor": "向下取整",
+  "ruleset.club": "俱乐部默认",
+  "ruleset.mleague": "M-League",
+  "ruleset.tenhou": "天凤",
+  "ruleset.wrc": "WRC",
+  "ruleset.ema": "EMA Riichi",
+  "table.yonma": "四麻",
+  "table.sanma": "三麻",
+  "table.filterAll": "合并",
+  "table.filter4": "仅四麻",
+  "table.filter3": "仅三麻",
+
+  // Rounds and tables
+  "round.title": "第 {n} 轮",
+  "round.table": "第 {n} 桌",
+
+  // Tournaments
+  "tournament.defaultName": "默认赛事",
+
+  // Undo history
+  "undo.players": "玩家",
+  "undo.rounds": "对局",
+  "undo.rankBonus": "名次加减分",
+  "undo.topK": "Top K",
+  "undo.tiePolicy": "同分处理",
+  "undo.ruleset": "规则",
+  "undo.customRulesets": "自定义规则",
+  "undo.groups": "分组",
+  "undo.roundPlan": "本轮安排",
+  "undo.finals": "决赛",
+  "undo.adjustments": "罚分/调整",
+
+  // Game validation
+  "validate.pickPlayers": "请选择 {count} 位不同的玩家 ({winds}有且仅各一人)。",
+  "validate.invalidScore": "请输入有效的分数(整数)。",
+  "validate.sumMismatch": "分数总和必须为 {expected}，目前为 {sum}",
+
+  // Adjustments
+  "adjust.cat.chombo": "错和/冲和罚分",
+  "adjust.cat.late": "迟到",
+  "adjust.cat.noshow": "缺席",
+  "adjust.cat.ruling": "裁判判定",
+  "adjust.cat.other": "其他",
+
+  // Charts
+  "chart.start": "开始",
+
+  // Finals
+  "finals.carry.full": "全额带入",
+  "finals.carry.half": "减半带入",
+  "finals.carry.reset": "清零重新开始",
+  "finals.stage.final": "决赛",
+  "finals.stage.semi": "半决赛",
+  "finals.stage.quarter": "四分之一决赛",
+
+  // Hand-by-hand entry
+  "hand.ron": "荣和",
+  "hand.tsumo": "自摸",
+  "hand.draw": "流局",
+  "hand.err.type": "请选择和牌方式。",
+  "hand.err.winner": "请选择和牌者。",
+  "hand.err.loser": "请选择放铳者（不能是和牌者本人）。",
+  "hand.err.han": "翻数至少为 1。",
+  "hand.err.fu": "请输入有效的符数（20、25、30…）。",
+  "hand.label": "{wind}{dealer}局 {honba}本场",
+
+  // Teams
+  "groups.defaultName": "第 {n} 队",
+
+  // Export / import
+  "export.invalid": "文件内容不是有效的赛事数据。",
+  "export.unknownVersion": "无法识别的数据版本：{version}",
+  "export.newerVersion": "数据版本 {version} 比当前程序支持的版本 {supported} 更新，请先升级程序。",
+  "export.err.noData": "缺少 data 字段。",
+  "export.err.players": "players 必须是数组。",
+  "export.err.playerFields": "玩家数据的 id、name 或 avatar 缺失或无效。",
+  "export.err.duplicateIds": "玩家 id 有重复。",
+  "export.err.rounds": "rounds 必须是数组。",
+  "export.err.roundIds": "对局 id 有重复。",
+  "export.err.roundFields": "第 {n} 局缺少 id 或有效的时间。",
+  "export.err.roundSeats": "第 {n} 局的座位或点数不完整。",
+  "export.err.roundPlayers": "第 {n} 局包含不存在的玩家。",
+  "export.err.roundRepeatPlayer": "第 {n} 局有玩家占了两个座位。",
+  "export.err.roundPoints": "第 {n} 局的点数无效。",
+  "export.err.rankBonus": "rankBonus 必须是 4 个数字。",
+  "export.err.topK": "topK 必须是正整数。",
+  "export.err.tiePolicy": "未知的同分处理方式：{policy}",
+  "export.err.customRulesets": "自定义规则数据无效。",
+  "export.err.rulesetId": "未知的规则：{id}",
+  "export.err.groupTopK": "groupTopK 必须是正整数。",
+  "export.err.finals": "决赛数据无效。",
+  "export.err.adjustments": "罚分/调整记录无效。",
+
+  // CSV
+  "csv.round": "轮次",
+  "csv.table": "桌号",
+  "csv.time": "时间",
+  "csv.wind": "座位",
+  "csv.player": "玩家",
+  "csv.raw": "原始点数",
+  "csv.base": "基础分",
+  "csv.bonus": "名次分",
+  "csv.delta": "得分",
+  "csv.err.empty": "文件为空。",
+  "csv.err.missingColumns": "缺少列：{columns}",
+  "csv.err.wind": "座位须为 {winds}，而不是“{value}”。",
+  "csv.err.player": "未知玩家“{name}”。请先在名单中添加。",
+  "csv.err.round": "缺少轮次。",
+  "csv.err.table": "桌号须为正整数，而不是“{value}”。",
+  "csv.err.duplicateWind": "第 {round} 轮第 {table} 桌的“{wind}”出现了两次。",
+  "csv.err.game": "第 {round} 轮第 {table} 桌（第 {lines} 行）：{message}",
+  "csv.err.time": "无法识别的时间“{value}”。",
+
+  // Diagnostics
+  "audit.kind.rawSum": "点数合计不符",
+  "audit.kind.staleBreakdown": "存储的明细已过期",
+  "audit.kind.missingPlayer": "缺失的玩家",
+  "audit.kind.duplicateId": "重复的玩家 id",
+  "audit.kind.scoreDrift": "旧版总分缓存不一致",
+  "audit.kind.topK": "Top K 超出范围",
+  "audit.repair.rawSum": "修改该局",
+  "audit.repair.staleBreakdown": "删除存储的明细",
+  "audit.repair.missingPlayer": "补回为已退赛玩家",
+  "audit.repair.duplicateId": "为重复项分配新 id",
+  "audit.repair.scoreDrift": "删除旧版缓存",
+  "audit.repair.topK": "调整到有效范围",
+  "audit.game": "第 {n} 局（{id}）",
+  "audit.msg.rawSum": "{game}的原始点数合计为 {sum}，应为 {expected}。",
+  "audit.msg.staleBreakdown": "{game}存储的得分明细与按当前规则重新计算的结果不一致。",
+  "audit.place.rounds": "对局",
+  "audit.place.adjustments": "罚分/调整",
+  "audit.place.groups": "分组",
+  "audit.place.roundPlan": "本轮安排",
+  "audit.place.finals": "决赛",
+  "audit.msg.missingPlayer": "玩家 id “{pid}” 不在名单中，但出现在{places}里。",
+  "audit.msg.duplicateId": "{count} 位玩家共用 id “{pid}”：{names}。",
+  "audit.msg.scoreDrift": "旧版存储的总分（playerScores）与按对局重新计算的结果有 {count} 人不一致：{names}。积分榜只使用重新计算的结果。",
+  "audit.msg.topK": "个人榜 Top K 为 {value}，有效范围是 1~{max}。",
+  "audit.msg.groupTopK": "团队榜 Top K 为 {value}，有效范围是 1~{max}。",
+  "audit.unknownPlayer": "未知玩家 {pid}",
+  "audit.report.title": "赛事数据诊断报告",
+  "audit.report.event": "赛事：{name}",
+  "audit.report.time": "时间：{time}",
+  "audit.report.clean": "未发现问题。",
+  "audit.report.found": "发现 {count} 个问题：",
+
+  // Spectator board
+
+  // App shell
+  "app.persistError": "数据未能保存到浏览器（{reason}）。",
+  "app.quotaExceeded": "存储空间已满",
+  "app.unknownError": "未知错误",
+  "app.persistHint": "刷新页面前请先在“设置”中导出备份，并删除不需要的赛事以释放空间。",
+  "app.dismiss": "知道了",
+
+  // Leaderboards
+  "leaderboard.players": "个人积分榜",
+  "leaderboard.qualifying": "预选积分榜",
+  "leaderboard.teams": "团队积分榜",
+
+  // Spectator board
+  "board.invalidSnapshot": "快照链接无效或已损坏。",
+  "board.noData": "暂无赛事数据。",
+  "board.defaultTitle": "麻将赛况",
+  "board.roundsPlayed": "已进行 {n} 轮",
+  "board.snapshotAt": "快照（只读）· {time}",
+  "board.liveAt": "实时 · 更新于 {time}",
+  "board.finalsFinal": "决赛最终排名",
+  "board.finalsLive": "决赛排名",
+  "board.recent": "最新对局",
+  "board.noGames": "暂无对局。",
+
+  // Tracker handlers
+  "confirm.resetAll": "确定要清空所有数据吗？（可通过“撤销”恢复）",
+  "export.avatarFailed": "导出失败：无法读取头像（{error}）",
+  "import.notJson": "无法读取文件：不是有效的 JSON。",
+  "import.failed": "导入失败：{error}",
+  "share.copied": "快照链接已复制。打开链接即可只读查看当前积分榜（不会随比赛更新）。",
+  "share.prompt": "复制以下快照链接：",
+  "avatar.saveFailed": "头像保存失败：{error}",
+  "player.record.games": "{n} 局对局",
+  "player.record.adjustments": "{n} 条罚分/调整",
+  "player.confirmWithdraw": "{name} 已有 {record}。退赛后不再出现在名单和选座中，历史记录与数据仍会保留。确定让其退赛吗？",
+  "player.confirmPurge": "彻底删除 {name} 会同时删除其参加的 {games} 局对局（整桌删除，同桌其他玩家的这些成绩也会消失）和 {entries} 条罚分/调整。确定要删除吗？",
+  "player.confirmDelete": "确定要删除玩家 {name} 吗？",
+  "player.newAvatarAlt": "新玩家的头像",
+  "round.confirmDelete": "确定要删除{label}吗？该桌的积分将从排行榜中扣除。",
+
+  // Finals handlers
+  "finals.confirmReplacePlan": "当前轮次还有未录入的桌，开始决赛将替换本轮安排。确定吗？",
+  "finals.cannotCancel": "已有决赛对局。请先删除这些对局再取消决赛。",
+  "finals.confirmCancel": "确定取消决赛吗？",
+
+  // Toolbar
+  "toolbar.addGame": "+ 录入一局",
+  "toolbar.settings": "设置",
+  "toolbar.undo": "↶ 撤销",
+  "toolbar.redo": "↷ 重做",
+  "toolbar.undoTitle": "撤销：{label}（Ctrl+Z）",
+  "toolbar.redoTitle": "重做：{label}（Ctrl+Shift+Z）",
+  "toolbar.nothingToUndo": "没有可撤销的操作",
+  "toolbar.nothingToRedo": "没有可重做的操作",
+  "toolbar.locked": "🔒 已锁定",
+  "toolbar.lockedTitle": "输入 PIN 以解锁编辑",
+  "toolbar.lock": "🔓 锁定",
+  "toolbar.lockTitle": "锁定后编辑需要输入 PIN",
+  "toolbar.nextRound": "生成下一轮",
+  "toolbar.groups": "分组",
+  "toolbar.groupsCount": "分组（{n} 队）",
+
+  // Round dialog
+  "round.confirmDropHandsSanma": "三麻不支持逐局录入，切换将丢弃已录入的各局记录，确定吗？",
+  "round.err.noHands": "逐局录入模式下请至少录入一局。",
+  "round.err.seatedElsewhere": "{names} 已在本轮的另一桌。",
+  "round.err.finalsSeats": "决赛桌的玩家须与对阵表一致（座位可以调换）。",
+  "round.editTitle": "修改{label}",
+  "round.planTitle": "录入{round} · 第 {n} 桌",
+  "round.newTitle": "录入一局",
+  "round.newRound": "新的一轮",
+  "round.joinLatest": "加入第 {round} 轮（第 {table} 桌）",
+  "round.pickPlayer": "选择玩家",
+  "round.archivedName": "{name}（已退赛）",
+  "round.rawPlaceholder": "该位原始点数",
+  "round.rulesLine4": "规则：{name}，起始点数 {start}，四家合计 {total}",
+  "round.rulesLine3": "规则：{name}，起始点数 {start}，三家合计 {total}",
+  "round.confirmDropHands": "关闭逐局录入将丢弃已录入的各局记录，确定吗？",
+  "round.detailed": "逐局录入（按每局和牌自动计算点数）",
+  "round.sanmaFinalOnly": "三麻只能直接录入终局点数。",
+
+  // Hand log
+  "hand.leftoverSticks": "场上剩余 {n} 根立直棒，结算时归第一名。",
+  "hand.undoLast": "撤销上一局",
+  "hand.winner": "和牌者",
+  "hand.loser": "放铳者",
+  "hand.han": "翻",
+  "hand.fu": "符",
+  "hand.riichi": "立直：",
+  "hand.tenpai": "听牌：",
+  "hand.add": "+ 记录这一局",
+  "hand.riichiSuffix": "，立直：{names}",
+  "hand.allNoten": "全员不听",
+  "hand.drawSummary": "流局（听牌：{tenpai}）",
+  "hand.valueHan": "{han}翻",
+  "hand.valueHanFu": "{han}翻{fu}符",
+
+  // Player stats
+  "stats.gameLine": "{label}：第 {rank} 名，原始 {raw}，{delta}",
+  "stats.played": "对局数",
+  "stats.total": "总分",
+  "stats.avgRank": "平均顺位",
+  "stats.avgRaw": "平均原始点数",
+  "stats.bustRate": "被飞率",
+  "stats.rating": "R",
+  "stats.ratingChange": "R {rating}（{change}）",
+  "stats.title": "{name} 的数据",
+  "stats.unknownPlayer": "玩家",
+  "stats.place": "第 {n} 名",
+  "stats.times": "{n} 次",
+  "stats.best": "最佳一局：",
+  "stats.worst": "最差一局：",
+  "stats.games": "逐局记录",
+  "stats.noGames": "暂无对局。",
+  "stats.gamePlace": "第 {rank} 名 · {raw}",
+  "stats.adjustments": "罚分/调整",
+  "stats.adjustmentSummary": "对局得分 {games}，调整合计 {adjustments}",
+
+  // Head to head
+  "h2h.title": "对战矩阵",
+  "h2h.hint": "每格为「行玩家 对 列玩家」：同桌局数、名次领先-落后次数、同桌对局中的总分差。点击格子查看这些对局。",
+  "h2h.cellTitle": "{a} 对 {b}",
+  "h2h.games": "{n} 局",
+
+  // Settings
+  "settings.customCopyName": "{name}（自定义）",
+  "settings.confirmRemoveRuleset": "已有冻结的对局使用该规则，删除后这些对局仍保留冻结时的规则。确定删除吗？",
+  "settings.err.bonus": "请输入有效的数字",
+  "settings.err.ruleset": "规则「{name}」的数值无效（起始点数与除数须大于 0）",
+  "settings.untitled": "未命名",
+  "settings.err.topK": "请输入有效的Top K (1~玩家数)",
+  "settings.confirmRevert": "确定要恢复到默认状态吗？（可通过“撤销”恢复）",
+  "settings.title": "设置：规则与位次加减分",
+  "settings.ruleset": "规则配置：",
+  "settings.presets": "预设",
+  "settings.custom": "自定义",
+  "settings.copyAsCustom": "复制为自定义",
+  "settings.name": "名称：",
+  "settings.startPoints": "起始点数：",
+  "settings.returnPoints": "返点：",
+  "settings.oka": "Oka（第一名额外加分）：",
+  "settings.divisor": "点数除数：",
+  "settings.uma": "第 {n} 名马点：",
+  "settings.sanmaSection": "三麻（3 人桌）",
+  "settings.sanmaUma": "三麻第 {n} 名马点：",
+  "settings.rounding": "取整方式：",
+  "settings.removeRuleset": "删除该自定义规则",
+  "settings.presetSummary": "起始点数 {start}，返点 {return}，Oka {oka}，除数 {divisor}，{rounding}",
+  "settings.presetUma": "，马点 {uma}",
+  "settings.presetSanma": "三麻：起始点数 {start}，返点 {return}，Oka {oka}，马点 {uma}",
+  "settings.bonus": "第 {n} 名加减分：",
+  "settings.tiePolicy": "同分处理：",
+  "settings.topK": "排行榜Top K：",
+  "settings.topKPlaceholder": "前 K 名",
+  "settings.language": "语言：",
+  "settings.explanation": "说明：一局中每位玩家最终得分 = (原始点数 - 返点)/除数 + 对应名次马点（第一名另加 Oka），四家原始点数合计须为 4 × 起始点数（三麻为 3 × 三麻起始点数）。切换规则或修改加减分会按新规则重新计算所有未冻结的历史对局。排行榜Top K用于分割线显示。",
+  "settings.exportJson": "导出数据（JSON）",
+  "settings.importJson": "导入数据",
+  "settings.exportCsv": "导出对局（CSV）",
+  "settings.importCsv": "从 CSV 导入对局",
+  "settings.changePin": "修改 / 移除操作员 PIN",
+  "settings.setPin": "设置操作员 PIN",
+  "settings.diagnostics": "数据诊断",
+  "settings.clear": "清空数据",
+  "settings.revert": "恢复默认（清除所有数据）",
+
+  // Finals
+  "finals.title": "进入决赛",
+  "finals.needPlayers": "至少需要 4 位在册玩家才能开始决赛。",
+  "finals.size": "晋级人数：",
+  "finals.sizeOption": "前 {n} 名（{stages}）",
+  "finals.carryLabel": "预选积分：",
+  "finals.carried": "带入 {points}",
+  "finals.rules": "每桌一局，按决赛积分（带入分 + 决赛对局得分）每桌前 {n} 名晋级下一阶段，各桌第一名优先排位。预选积分榜保持不变。",
+  "finals.start": "开始决赛",
+  "finals.section": "决赛阶段",
+  "finals.sectionInfo": "前 {n} 名 · 预选积分{carry}",
+  "finals.advance": "进入{stage}",
+  "finals.podium": "颁奖台",
+  "finals.cancel": "取消决赛",
+
+  // Finals bracket and podium
+  "finals.pending": "待定",
+  "finals.record": "录入",
+  "finals.standings": "决赛排名",
+  "finals.standingsFinal": "决赛排名（最终）",
+  "finals.podiumTitle": "{name} 颁奖台",
+
+  // Adjustments
+  "adjust.err.player": "请选择玩家。",
+  "adjust.err.amount": "请输入非零的分数（扣分用负数）。",
+  "adjust.err.reason": "类别为“其他”时请填写原因。",
+  "adjust.confirmDelete": "确定删除这条记录吗？（仅用于录入错误；正式撤销请使用“撤销”，以保留记录）",
+  "adjust.editTitle": "修改罚分/调整",
+  "adjust.newTitle": "新增罚分/调整",
+  "adjust.player": "玩家：",
+  "adjust.category": "类别：",
+  "adjust.amount": "分数（扣分用负数）：",
+  "adjust.amountPlaceholder": "例如 -20",
+  "adjust.reason": "原因：",
+  "adjust.reasonPlaceholder": "例如 第 3 轮东场错和",
+  "adjust.hint": "调整计入个人积分榜总分，并按时间显示在对局历史中。",
+
+  // Operator PIN
+  "pin.wrong": "PIN 不正确。",
+  "pin.promptTitle": "需要操作员 PIN",
+  "pin.promptHint": "编辑已锁定，输入 PIN 后解锁（刷新页面或点击“锁定”后需重新输入）。",
+  "pin.checking": "验证中…",
+  "pin.unlock": "解锁",
+  "pin.err.format": "PIN 须为 4–12 位数字。",
+  "pin.err.mismatch": "两次输入的 PIN 不一致。",
+  "pin.err.create": "无法生成 PIN（{error}）。请通过 HTTPS 或 localhost 访问。",
+  "pin.confirmRemove": "移除 PIN 后任何人都可以编辑数据。确定移除吗？",
+  "pin.title": "操作员 PIN",
+  "pin.setupHint": "设置后，录入对局、编辑玩家、修改设置和清空数据都需要先输入 PIN 解锁。PIN 只以加盐哈希保存在本机，所有赛事共用。",
+  "pin.new": "新 PIN",
+  "pin.repeat": "再次输入",
+  "pin.change": "修改 PIN",
+  "pin.set": "设置 PIN",
+  "pin.remove": "移除 PIN",
+
+  // Tournaments
+  "tournaments.newPrompt": "新赛事名称：",
+  "tournaments.newDefault": "赛事 {n}",
+  "tournaments.confirmCopy": "是否沿用「{name}」的玩家名单与规则设置？（对局记录不会复制）",
+  "tournaments.confirmDelete": "确定要删除赛事「{name}」及其全部玩家与对局吗？此操作不可撤销。",
+  "tournaments.title": "赛事管理",
+  "tournaments.current": "当前",
+  "tournaments.switch": "切换",
+  "tournaments.new": "+ 新建赛事",
+
+  // Season
+  "season.title": "赛季总榜",
+  "season.hint": "各赛事按其自身规则计分后累加；不同赛事中同名的玩家视为同一人。",
+  "season.empty": "请选择至少一个有玩家的赛事。",
+  "season.rowInfo": "{events} 场赛事 · {games} 局",
+
+  // JSON import
+  "import.title": "导入数据",
+  "import.summary": "文件包含 {players} 位玩家、{rounds} 局对局。",
+  "import.mergeHint": "合并：加入 {players} 位新玩家与 {rounds} 局新对局，保留当前的规则与设置。",
+  "import.replaceHint": "替换：用文件中的玩家、对局与规则设置覆盖当前全部数据。",
+  "import.merge": "合并",
+  "import.replace": "替换",
+  "import.confirmReplace": "确定用导入的数据替换当前所有数据吗？",
+
+  // CSV import
+  "csvImport.title": "导入对局：{file}",
+  "csvImport.errors": "发现 {n} 处问题，修正表格后重新导入。未导入任何数据。",
+  "csvImport.line": "第 {n} 行",
+  "csvImport.summary": "共 {games} 局，{rounds} 轮，将作为新的轮次追加在现有对局之后。",
+  "csvImport.columns": "需要的列：{columns}（桌号、时间可选；基础分、名次分、得分按当前规则重新计算）。",
+  "csvImport.submit": "导入 {n} 局",
+
+  // Diagnostics dialog
+  "audit.copied": "诊断报告已复制。",
+  "audit.clipboardFailed": "无法访问剪贴板，请在文本框中手动复制。",
+  "audit.title": "数据诊断",
+  "audit.hint": "检查本赛事保存在浏览器中的数据：原始点数合计、存储的得分明细、玩家 id、旧版总分缓存与 Top K。",
+  "audit.clean": "未发现问题。",
+  "audit.copy": "复制报告",
+
+  // Seating dialog
+  "seating.confirmReplace": "当前安排中还有未录入的桌，确定要替换吗？",
+  "seating.title": "生成下一轮座位",
+  "seating.players": "参赛玩家（点击可标记缺席）：",
+  "seating.swiss": "瑞士制：按当前积分排名分桌（否则尽量避免重复同桌）",
+  "seating.sanma": "人数凑不齐四人桌时，用三麻桌安排多出的玩家（尽量不轮空）",
+  "seating.hint": "已打局数最多的玩家优先轮空；座位风向尽量让每人坐东家的次数均衡。",
+  "seating.needPlayers": "至少需要 {n} 位玩家。",
+  "seating.generate": "生成",
+  "seating.regenerate": "重新生成",
+  "seating.manual": "不排座位，开始 {n} 桌的新一轮",
+  "seating.tableType": "（{type}）",
+  "seating.byes": "轮空：{names}",
+  "seating.confirm": "采用此安排",
+
+  // Teams dialog
+  "groups.err.count": "至少需要 2 支队伍。",
+  "groups.err.name": "队伍名称不能为空。",
+  "groups.err.members": "「{name}」需要 {n} 名队员。",
+  "groups.err.duplicate": "{name} 被分到了多支队伍。",
+  "groups.err.topK": "请输入有效的队伍Top K (1~队伍数)",
+  "groups.lockedTitle": "分组（已锁定）",
+  "groups.lockedHint": "已有对局记录，分组已锁定。清空对局数据后才能重新分组。",
+  "groups.disabled": "本赛事未启用分组。",
+  "groups.title": "分组设置",
+  "groups.enable": "启用团队赛（录入第一局后锁定）",
+  "groups.size": "每队人数：",
+  "groups.topK": "队伍榜Top K：",
+  "groups.pickMember": "选择队员",
+  "groups.add": "+ 添加队伍",
+  "groups.shuffle": "随机分组",
+
+  // Avatars
+  "player.unknown": "未知玩家",
+  "player.withdrawn": "已退赛",
+
+  // History
+  "adjust.reversed": "已撤销",
+  "adjust.restore": "恢复",
+  "adjust.reverse": "撤销",
+  "history.frozenTitle": "该局使用冻结时的名次加减分与同分处理，点击恢复使用当前规则",
+  "history.freezeTitle": "冻结该局当前的名次加减分与同分处理，之后修改设置不影响该局",
+  "history.frozen": "已冻结 {name} {uma}",
+  "history.freeze": "冻结规则",
+  "history.raw": "原始：{raw}",
+  "history.delta": "增减：{delta} （基础 {base}，名次 {bonus}）",
+  "history.hideHands": "收起牌谱",
+  "history.showHands": "展开牌谱（{n} 局）",
+  "tie.note": "同分 {raw}：{names}，",
+  "tie.noteSplit": "并列第 {rank} 名，平分第 {rank}~{last} 名加减分（各 {bonus}）",
+  "tie.noteSeat": "按座位顺序分别列第 {ranks} 名",
+
+  // Leaderboard and chart
+  "leaderboard.filterNote": "只统计{type}对局，不含罚分/调整。",
+  "chart.score": "积分走势",
+  "chart.rank": "排名变化",
+  "chart.scoreTab": "积分",
+  "chart.rankTab": "排名",
+  "chart.empty": "录入对局后显示走势。",
+  "chart.pointScore": "{name} {label}：{value}",
+  "chart.cutLine": "虚线为 Top {n} 分割线。",
+
+  // Page
+  "roster.title": "选择默认玩家加入比赛",
+  "roster.selected": "已选择",
+  "roster.added": "已在名单中",
+  "roster.done": "完成",
+  "header.title": "麻将赛况追踪",
+  "header.switchTournament": "切换赛事",
+  "header.tournaments": "赛事管理",
+  "header.season": "赛季总榜",
+  "header.h2h": "对战矩阵",
+  "header.board": "投屏",
+  "header.boardTitle": "在新窗口打开只读大屏，随本页自动更新",
+  "header.share": "分享快照",
+  "header.shareTitle": "生成当前积分榜的只读链接",
+  "header.finals": "进入决赛",
+  "header.adjust": "± 罚分/调整",
+  "header.adjustTitle": "罚分、迟到、裁判判定等",
+  "players.remove": "移除玩家",
+  "players.stats": "查看数据",
+  "players.add": "添加玩家",
+  "players.importDefault": "导入默认名单",
+  "players.withdrawnList": "已退赛玩家（{n}）",
+  "players.restore": "恢复",
+  "players.purge": "彻底删除",
+  "players.newTitle": "添加新玩家",
+  "players.uploadHint": "点击上传头像（可选）",
+  "players.namePlaceholder": "玩家名字",
+  "players.addConfirm": "添加",
+
+  // Round plan
+  "plan.swiss": "（瑞士制）",
+  "plan.progress": "已录入 {done}/{total} 桌",
+  "plan.confirmClear": "还有未录入的桌，确定清除本轮安排吗？",
+  "plan.clear": "清除安排",
+  "plan.reported": "已录入",
+  "plan.unseated": "未排座位，待录入",
+
+  // History section
+  "history.title": "对局历史",
+  "history.filter": "仅显示 {names} 同桌的对局 ✕",
+  "history.filterJoin": " 与 ",
+  "history.empty": "暂无数据，点击“录入一局”开始。",
+  "history.tableCount": "（{n} 桌）",
+  "history.moveUp": "上移",
+  "history.moveDown": "下移",
+
+  // App updates
+  "app.updateReady": "新版本已就绪，更新后页面会重新加载（数据不会丢失）。",
+  "app.updateLater": "稍后",
+  "app.updateNow": "立即更新",
+};
+
+const en = {
+  // Shared
+  "common.listSep": ", ",
+  "common.cancel": "Cancel",
+  "common.save": "Save",
+  "common.close": "Close",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.unitPoints": "Unit: points",
+
+  // Seat winds
+  "wind.east": "East",
+  "wind.south": "South",
+  "wind.west": "West",
+  "wind.north": "North",
+
+  // Rules
+  "tie.seat": "By starting seat (East first; JPML/Tenhou)",
+  "tie.split": "Split the tied places' bonuses (WRC/EMA)",
+  "rounding.none": "No rounding",
+  "rounding.round": "Round half up",
+  "rounding.gotoshi": "Round .6 up (Tenhou)",
+  "rounding.floor": "Round down",
+  "ruleset.club": "Club default",
+  "ruleset.mleague": "M-League",
+  "ruleset.tenhou": "Tenhou",
+  "ruleset.wrc": "WRC",
+  "ruleset.ema": "EMA Riichi",
+  "table.yonma": "4-player",
+  "table.sanma": "3-player",
+  "table.filterAll": "Combined",
+  "table.filter4": "4-player only",
+  "table.filter3": "3-player only",
+
+  // Rounds and tables
+  "round.title": "Round {n}",
+  "round.table": "Table {n}",
+
+  // Tournaments
+  "tournament.defaultName": "Default event",
+
+  // Undo history
+  "undo.players": "players",
+  "undo.rounds": "games",
+  "undo.rankBonus": "rank bonuses",
+  "undo.topK": "Top K",
+  "undo.tiePolicy": "tie handling",
+  "undo.ruleset": "ruleset",
+  "undo.customRulesets": "custom rulesets",
+  "undo.groups": "teams",
+  "undo.roundPlan": "round plan",
+  "undo.finals": "finals",
+  "undo.adjustments": "penalties/adjustments",
+
+  // Game validation
+  "validate.pickPlayers": "Pick {count} different players (exactly one each for {winds}).",
+  "validate.invalidScore": "Enter valid scores (whole numbers).",
+  "validate.sumMismatch": "Scores must add up to {expected}; they add up to {sum}",
+
+  // Adjustments
+  "adjust.cat.chombo": "Chombo penalty",
+  "adjust.cat.late": "Late arrival",
+  "adjust.cat.noshow": "No-show",
+  "adjust.cat.ruling": "Referee ruling",
+  "adjust.cat.other": "Other",
+
+  // Charts
+  "chart.start": "Start",
+
+  // Finals
+  "finals.carry.full": "Carry over in full",
+  "finals.carry.half": "Carry over half",
+  "finals.carry.reset": "Start again from zero",
+  "finals.stage.final": "Final",
+  "finals.stage.semi": "Semifinal",
+  "finals.stage.quarter": "Quarterfinal",
+
+  // Hand-by-hand entry
+  "hand.ron": "Ron",
+  "hand.tsumo": "Tsumo",
+  "hand.draw": "Draw",
+  "hand.err.type": "Choose how the hand ended.",
+  "hand.err.winner": "Choose the winner.",
+  "hand.err.loser": "Choose who dealt in (not the winner).",
+  "hand.err.han": "Han must be at least 1.",
+  "hand.err.fu": "Enter a valid fu (20, 25, 30…).",
+  "hand.label": "{wind} {dealer}, {honba} honba",
+
+  // Teams
+  "groups.defaultName": "Team {n}",
+
+  // Export / import
+  "export.invalid": "The file does not contain valid tournament data.",
+  "export.unknownVersion": "Unrecognised data version: {version}",
+  "export.newerVersion": "Data version {version} is newer than this app supports ({supported}). Please update the app first.",
+  "export.err.noData": "The data field is missing.",
+  "export.err.players": "players must be an array.",
+  "export.err.playerFields": "A player has a missing or invalid id, name or avatar.",
+  "export.err.duplicateIds": "Player ids are not unique.",
+  "export.err.rounds": "rounds must be an array.",
+  "export.err.roundIds": "Game ids are not unique.",
+  "export.err.roundFields": "Game {n} is missing its id or a valid time.",
+  "export.err.roundSeats": "Game {n} has incomplete seats or points.",
+  "export.err.roundPlayers": "Game {n} includes a player who does not exist.",
+  "export.err.roundRepeatPlayer": "Game {n} seats the same player twice.",
+  "export.err.roundPoints": "Game {n} has invalid points.",
+  "export.err.rankBonus": "rankBonus must be 4 numbers.",
+  "export.err.topK": "topK must be a positive integer.",
+  "export.err.tiePolicy": "Unknown tie policy: {policy}",
+  "export.err.customRulesets": "The custom rulesets are invalid.",
+  "export.err.rulesetId": "Unknown ruleset: {id}",
+  "export.err.groupTopK": "groupTopK must be a positive integer.",
+  "export.err.finals": "The finals data is invalid.",
+  "export.err.adjustments": "The penalty/adjustment records are invalid.",
+
+  // CSV
+  "csv.round": "Round",
+  "csv.table": "Table",
+  "csv.time": "Time",
+  "csv.wind": "Seat",
+  "csv.player": "Player",
+  "csv.raw": "Raw points",
+  "csv.base": "Base",
+  "csv.bonus": "Placement bonus",
+  "csv.delta": "Score",
+  "csv.err.empty": "The file is empty.",
+  "csv.err.missingColumns": "Missing columns: {columns}",
+  "csv.err.wind": "Seat must be one of {winds}, not \"{value}\".",
+  "csv.err.player": "Unknown player \"{name}\". Add them to the roster first.",
+  "csv.err.round": "The round is missing.",
+  "csv.err.table": "Table must be a positive whole number, not \"{value}\".",
+  "csv.err.duplicateWind": "Round {round}, table {table} has \"{wind}\" twice.",
+  "csv.err.game": "Round {round}, table {table} (lines {lines}): {message}",
+  "csv.err.time": "Unrecognised time \"{value}\".",
+
+  // Diagnostics
+  "audit.kind.rawSum": "Raw points do not add up",
+  "audit.kind.staleBreakdown": "Stale stored breakdown",
+  "audit.kind.missingPlayer": "Missing player",
+  "audit.kind.duplicateId": "Duplicate player id",
+  "audit.kind.scoreDrift": "Legacy score cache is out of date",
+  "audit.kind.topK": "Top K out of range",
+  "audit.repair.rawSum": "Edit the game",
+  "audit.repair.staleBreakdown": "Delete the stored breakdown",
+  "audit.repair.missingPlayer": "Restore as a withdrawn player",
+  "audit.repair.duplicateId": "Give the duplicates new ids",
+  "audit.repair.scoreDrift": "Delete the legacy cache",
+  "audit.repair.topK": "Bring into range",
+  "audit.game": "Game {n} ({id})",
+  "audit.msg.rawSum": "{game}: raw points add up to {sum} instead of {expected}.",
+  "audit.msg.staleBreakdown": "{game}: the stored breakdown differs from a fresh calculation under the current rules.",
+  "audit.place.rounds": "games",
+  "audit.place.adjustments": "penalties/adjustments",
+  "audit.place.groups": "teams",
+  "audit.place.roundPlan": "the round plan",
+  "audit.place.finals": "the finals",
+  "audit.msg.missingPlayer": "Player id \"{pid}\" is not on the roster but appears in {places}.",
+  "audit.msg.duplicateId": "{count} players share the id \"{pid}\": {names}.",
+  "audit.msg.scoreDrift": "The legacy stored totals (playerScores) differ from the totals recalculated from the games for {count} players: {names}. The leaderboard only uses the recalculated totals.",
+  "audit.msg.topK": "The player board's Top K is {value}; it must be 1–{max}.",
+  "audit.msg.groupTopK": "The team board's Top K is {value}; it must be 1–{max}.",
+  "audit.unknownPlayer": "Unknown player {pid}",
+  "audit.report.title": "Tournament data diagnostics report",
+  "audit.report.event": "Event: {name}",
+  "audit.report.time": "Time: {time}",
+  "audit.report.clean": "No problems found.",
+  "audit.report.found": "{count} problems found:",
+
+  // Spectator board
+
+  // App shell
+  "app.persistError": "Your data could not be saved in the browser ({reason}).",
+  "app.quotaExceeded": "storage is full",
+  "app.unknownError": "unknown error",
+  "app.persistHint": "Before reloading, export a backup in Settings and delete events you no longer need to free up space.",
+  "app.dismiss": "Got it",
+
+  // Leaderboards
+  "leaderboard.players": "Player standings",
+  "leaderboard.qualifying": "Qualifying standings",
+  "leaderboard.teams": "Team standings",
+
+  // Spectator board
+  "board.invalidSnapshot": "This snapshot link is invalid or damaged.",
+  "board.noData": "No tournament data yet.",
+  "board.defaultTitle": "Mahjong standings",
+  "board.roundsPlayed": "{n} rounds played",
+  "board.snapshotAt": "Snapshot (read-only) · {time}",
+  "board.liveAt": "Live · updated {time}",
+  "board.finalsFinal": "Final standings",
+  "board.finalsLive": "Finals standings",
+  "board.recent": "Latest games",
+  "board.noGames": "No games yet.",
+
+  // Tracker handlers
+  "confirm.resetAll": "Clear all data? (You can bring it back with Undo.)",
+  "export.avatarFailed": "Export failed: could not read an avatar ({error})",
+  "import.notJson": "Cannot read the file: it is not valid JSON.",
+  "import.failed": "Import failed: {error}",
+  "share.copied": "Snapshot link copied. It opens a read-only copy of the current standings (it does not update as play continues).",
+  "share.prompt": "Copy this snapshot link:",
+  "avatar.saveFailed": "Could not save the avatar: {error}",
+  "player.record.games": "{n} games",
+  "player.record.adjustments": "{n} penalties/adjustments",
+  "player.confirmWithdraw": "{name} already has {record}. A withdrawn player leaves the roster and seating, but their history and data are kept. Withdraw them?",
+  "player.confirmPurge": "Deleting {name} for good also deletes the {games} games they played (whole tables, so the other players lose those results too) and {entries} penalties/adjustments. Delete?",
+  "player.confirmDelete": "Delete player {name}?",
+  "player.newAvatarAlt": "New player's avatar",
+  "round.confirmDelete": "Delete {label}? Its points will be taken off the leaderboard.",
+
+  // Finals handlers
+  "finals.confirmReplacePlan": "The current round still has unreported tables. Starting the finals replaces this round's plan. Continue?",
+  "finals.cannotCancel": "Finals games have already been recorded. Delete them before calling off the finals.",
+  "finals.confirmCancel": "Call off the finals?",
+
+  // Toolbar
+  "toolbar.addGame": "+ Record a game",
+  "toolbar.settings": "Settings",
+  "toolbar.undo": "↶ Undo",
+  "toolbar.redo": "↷ Redo",
+  "toolbar.undoTitle": "Undo: {label} (Ctrl+Z)",
+  "toolbar.redoTitle": "Redo: {label} (Ctrl+Shift+Z)",
+  "toolbar.nothingToUndo": "Nothing to undo",
+  "toolbar.nothingToRedo": "Nothing to redo",
+  "toolbar.locked": "🔒 Locked",
+  "toolbar.lockedTitle": "Enter the PIN to unlock editing",
+  "toolbar.lock": "🔓 Lock",
+  "toolbar.lockTitle": "Once locked, editing needs the PIN",
+  "toolbar.nextRound": "Seat next round",
+  "toolbar.groups": "Teams",
+  "toolbar.groupsCount": "Teams ({n})",
+
+  // Round dialog
+  "round.confirmDropHandsSanma": "3-player tables have no hand-by-hand entry. Switching discards the hands recorded so far. Continue?",
+  "round.err.noHands": "Record at least one hand in hand-by-hand mode.",
+  "round.err.seatedElsewhere": "{names} already played at another table of this round.",
+  "round.err.finalsSeats": "A finals table must have the players from the bracket (seats may be swapped).",
+  "round.editTitle": "Edit {label}",
+  "round.planTitle": "Record {round} · Table {n}",
+  "round.newTitle": "Record a game",
+  "round.newRound": "New round",
+  "round.joinLatest": "Join round {round} (table {table})",
+  "round.pickPlayer": "Choose player",
+  "round.archivedName": "{name} (withdrawn)",
+  "round.rawPlaceholder": "Raw points",
+  "round.rulesLine4": "Rules: {name}, starting points {start}, 4-player total {total}",
+  "round.rulesLine3": "Rules: {name}, starting points {start}, 3-player total {total}",
+  "round.confirmDropHands": "Turning off hand-by-hand entry discards the hands recorded so far. Continue?",
+  "round.detailed": "Hand-by-hand entry (points are worked out from each hand)",
+  "round.sanmaFinalOnly": "3-player tables are entered as final points only.",
+
+  // Hand log
+  "hand.leftoverSticks": "{n} riichi sticks left on the table go to first place.",
+  "hand.undoLast": "Undo last hand",
+  "hand.winner": "Winner",
+  "hand.loser": "Dealt in",
+  "hand.han": "han",
+  "hand.fu": "fu",
+  "hand.riichi": "Riichi:",
+  "hand.tenpai": "Tenpai:",
+  "hand.add": "+ Add this hand",
+  "hand.riichiSuffix": "; riichi: {names}",
+  "hand.allNoten": "all noten",
+  "hand.drawSummary": "Draw (tenpai: {tenpai})",
+  "hand.valueHan": "{han} han",
+  "hand.valueHanFu": "{han} han {fu} fu",
+
+  // Player stats
+  "stats.gameLine": "{label}: place {rank}, raw {raw}, {delta}",
+  "stats.played": "Games",
+  "stats.total": "Total",
+  "stats.avgRank": "Avg. place",
+  "stats.avgRaw": "Avg. raw points",
+  "stats.bustRate": "Bust rate",
+  "stats.rating": "R",
+  "stats.ratingChange": "R {rating} ({change})",
+  "stats.title": "{name}'s stats",
+  "stats.unknownPlayer": "Player",
+  "stats.place": "Place {n}",
+  "stats.times": "{n}×",
+  "stats.best": "Best game: ",
+  "stats.worst": "Worst game: ",
+  "stats.games": "Game log",
+  "stats.noGames": "No games yet.",
+  "stats.gamePlace": "Place {rank} · {raw}",
+  "stats.adjustments": "Penalties/adjustments",
+  "stats.adjustmentSummary": "From games {games}, adjustments {adjustments}",
+
+  // Head to head
+  "h2h.title": "Head to head",
+  "h2h.hint": "Each cell is “row player vs column player”: games at the same table, times placed ahead-behind, and the total score difference in those games. Click a cell to see the games.",
+  "h2h.cellTitle": "{a} vs {b}",
+  "h2h.games": "{n} games",
+
+  // Settings
+  "settings.customCopyName": "{name} (custom)",
+  "settings.confirmRemoveRuleset": "Some frozen games use this ruleset. They keep the rules they were frozen with after it is deleted. Delete it?",
+  "settings.err.bonus": "Enter valid numbers",
+  "settings.err.ruleset": "Ruleset “{name}” has invalid values (starting points and divisor must be above 0)",
+  "settings.untitled": "Untitled",
+  "settings.err.topK": "Enter a valid Top K (1 to the number of players)",
+  "settings.confirmRevert": "Restore the defaults? (You can bring the data back with Undo.)",
+  "settings.title": "Settings: rules and rank bonuses",
+  "settings.ruleset": "Ruleset:",
+  "settings.presets": "Presets",
+  "settings.custom": "Custom",
+  "settings.copyAsCustom": "Copy as custom",
+  "settings.name": "Name:",
+  "settings.startPoints": "Starting points:",
+  "settings.returnPoints": "Return points:",
+  "settings.oka": "Oka (extra for first place):",
+  "settings.divisor": "Points divisor:",
+  "settings.uma": "Uma for place {n}:",
+  "settings.sanmaSection": "Sanma (3-player tables)",
+  "settings.sanmaUma": "Sanma uma for place {n}:",
+  "settings.rounding": "Rounding:",
+  "settings.removeRuleset": "Delete this custom ruleset",
+  "settings.presetSummary": "Starting points {start}, return {return}, oka {oka}, divisor {divisor}, {rounding}",
+  "settings.presetUma": ", uma {uma}",
+  "settings.presetSanma": "Sanma: starting points {start}, return {return}, oka {oka}, uma {uma}",
+  "settings.bonus": "Bonus for place {n}:",
+  "settings.tiePolicy": "Ties:",
+  "settings.topK": "Leaderboard Top K:",
+  "settings.topKPlaceholder": "Top K",
+  "settings.language": "Language:",
+  "settings.explanation": "Note: each player's score for a game = (raw points − return points) / divisor + the uma for their place (first place also gets the oka). The four raw scores must add up to 4 × starting points (3 × the sanma starting points for sanma). Changing the rules or bonuses rescores every game that is not frozen. Top K sets where the leaderboard draws its cut line.",
+  "settings.exportJson": "Export data (JSON)",
+  "settings.importJson": "Import data",
+  "settings.exportCsv": "Export games (CSV)",
+  "settings.importCsv": "Import games from CSV",
+  "settings.changePin": "Change / remove operator PIN",
+  "settings.setPin": "Set operator PIN",
+  "settings.diagnostics": "Data diagnostics",
+  "settings.clear": "Clear data",
+  "settings.revert": "Restore defaults (erases all data)",
+
+  // Finals
+  "finals.title": "Start the finals",
+  "finals.needPlayers": "The finals need at least 4 active players.",
+  "finals.size": "Players advancing:",
+  "finals.sizeOption": "Top {n} ({stages})",
+  "finals.carryLabel": "Qualifying points:",
+  "finals.carried": "Carried {points}",
+  "finals.rules": "One game per table. The top {n} of each table by finals points (carried points + finals game score) advance, with table winners seeded first. The qualifying standings stay as they are.",
+  "finals.start": "Start finals",
+  "finals.section": "Finals",
+  "finals.sectionInfo": "Top {n} · {carry}",
+  "finals.advance": "Go to {stage}",
+  "finals.podium": "Podium",
+  "finals.cancel": "Call off finals",
+
+  // Finals bracket and podium
+  "finals.pending": "To be decided",
+  "finals.record": "Record",
+  "finals.standings": "Finals standings",
+  "finals.standingsFinal": "Finals standings (final)",
+  "finals.podiumTitle": "{name} podium",
+
+  // Adjustments
+  "adjust.err.player": "Choose a player.",
+  "adjust.err.amount": "Enter a non-zero amount (negative for a penalty).",
+  "adjust.err.reason": "Give a reason when the category is “Other”.",
+  "adjust.confirmDelete": "Delete this entry? (Only for mistakes; use “Reverse” to cancel a ruling and keep the record.)",
+  "adjust.editTitle": "Edit penalty/adjustment",
+  "adjust.newTitle": "New penalty/adjustment",
+  "adjust.player": "Player:",
+  "adjust.category": "Category:",
+  "adjust.amount": "Amount (negative for a penalty):",
+  "adjust.amountPlaceholder": "e.g. -20",
+  "adjust.reason": "Reason:",
+  "adjust.reasonPlaceholder": "e.g. false win in round 3",
+  "adjust.hint": "Adjustments count towards the player standings and appear in the game history by time.",
+
+  // Operator PIN
+  "pin.wrong": "Wrong PIN.",
+  "pin.promptTitle": "Operator PIN required",
+  "pin.promptHint": "Editing is locked. Enter the PIN to unlock (you will need it again after reloading or pressing “Lock”).",
+  "pin.checking": "Checking…",
+  "pin.unlock": "Unlock",
+  "pin.err.format": "The PIN must be 4–12 digits.",
+  "pin.err.mismatch": "The two PINs do not match.",
+  "pin.err.create": "Could not create the PIN ({error}). Open the app over HTTPS or from localhost.",
+  "pin.confirmRemove": "Without a PIN anyone can edit the data. Remove it?",
+  "pin.title": "Operator PIN",
+  "pin.setupHint": "Once set, recording games, editing players, changing settings and clearing data all need the PIN first. The PIN is stored on this device only, as a salted hash, and is shared by every event.",
+  "pin.new": "New PIN",
+  "pin.repeat": "Repeat",
+  "pin.change": "Change PIN",
+  "pin.set": "Set PIN",
+  "pin.remove": "Remove PIN",
+
+  // Tournaments
+  "tournaments.newPrompt": "Name of the new event:",
+  "tournaments.newDefault": "Event {n}",
+  "tournaments.confirmCopy": "Reuse the roster and rules of “{name}”? (Games are not copied.)",
+  "tournaments.confirmDelete": "Delete the event “{name}” with all its players and games? This cannot be undone.",
+  "tournaments.title": "Events",
+  "tournaments.current": "Current",
+  "tournaments.switch": "Switch",
+  "tournaments.new": "+ New event",
+
+  // Season
+  "season.title": "Season standings",
+  "season.hint": "Each event is scored by its own rules and the results are added up. Players with the same name in different events count as one person.",
+  "season.empty": "Choose at least one event that has players.",
+  "season.rowInfo": "{events} events · {games} games",
+
+  // JSON import
+  "import.title": "Import data",
+  "import.summary": "The file has {players} players and {rounds} games.",
+  "import.mergeHint": "Merge: adds {players} new players and {rounds} new games, keeping the current rules and settings.",
+  "import.replaceHint": "Replace: overwrites all current data with the file's players, games and rules.",
+  "import.merge": "Merge",
+  "import.replace": "Replace",
+  "import.confirmReplace": "Replace all current data with the imported data?",
+
+  // CSV import
+  "csvImport.title": "Import games: {file}",
+  "csvImport.errors": "Found {n} problems. Fix the sheet and import it again. Nothing was imported.",
+  "csvImport.line": "Line {n}",
+  "csvImport.summary": "{games} games in {rounds} rounds, added as new rounds after the existing games.",
+  "csvImport.columns": "Required columns: {columns} (table and time are optional; base, bonus and score are recalculated with the current rules).",
+  "csvImport.submit": "Import {n} games",
+
+  // Diagnostics dialog
+  "audit.copied": "Diagnostics report copied.",
+  "audit.clipboardFailed": "The clipboard is not available. Copy the report from the text box.",
+  "audit.title": "Data diagnostics",
+  "audit.hint": "Checks this event's data stored in the browser: raw point totals, stored score breakdowns, player ids, the old totals cache and Top K.",
+  "audit.clean": "No problems found.",
+  "audit.copy": "Copy report",
+
+  // Seating dialog
+  "seating.confirmReplace": "The current plan still has unreported tables. Replace it?",
+  "seating.title": "Seat the next round",
+  "seating.players": "Players (click to mark absent):",
+  "seating.swiss": "Swiss: seat tables by current standings (otherwise avoid repeat opponents where possible)",
+  "seating.sanma": "When players don't fill 4-player tables, seat the rest at 3-player tables (fewer byes)",
+  "seating.hint": "Players with the most games sit out first; winds are spread so everyone is East about equally often.",
+  "seating.needPlayers": "At least {n} players are needed.",
+  "seating.generate": "Generate",
+  "seating.regenerate": "Generate again",
+  "seating.manual": "Start a round of {n} tables without seating",
+  "seating.tableType": " ({type})",
+  "seating.byes": "Byes: {names}",
+  "seating.confirm": "Use this seating",
+
+  // Teams dialog
+  "groups.err.count": "At least 2 teams are needed.",
+  "groups.err.name": "Team names cannot be empty.",
+  "groups.err.members": "“{name}” needs {n} members.",
+  "groups.err.duplicate": "{name} is in more than one team.",
+  "groups.err.topK": "Enter a valid team Top K (1 to the number of teams)",
+  "groups.lockedTitle": "Teams (locked)",
+  "groups.lockedHint": "Games have been recorded, so teams are locked. Clear the game data to change them.",
+  "groups.disabled": "This event has no teams.",
+  "groups.title": "Team settings",
+  "groups.enable": "Enable team play (locked after the first game)",
+  "groups.size": "Players per team:",
+  "groups.topK": "Team Top K:",
+  "groups.pickMember": "Choose member",
+  "groups.add": "+ Add team",
+  "groups.shuffle": "Random teams",
+
+  // Avatars
+  "player.unknown": "Unknown player",
+  "player.withdrawn": "withdrawn",
+
+  // History
+  "adjust.reversed": "Reversed",
+  "adjust.restore": "Restore",
+  "adjust.reverse": "Reverse",
+  "history.frozenTitle": "This game uses the rank bonuses and tie handling it was frozen with. Click to use the current rules again.",
+  "history.freezeTitle": "Freeze this game's current rank bonuses and tie handling so later settings changes don't affect it",
+  "history.frozen": "Frozen: {name} {uma}",
+  "history.freeze": "Freeze rules",
+  "history.raw": "Raw: {raw}",
+  "history.delta": "Change: {delta} (base {base}, place {bonus})",
+  "history.hideHands": "Hide hands",
+  "history.showHands": "Show hands ({n})",
+  "tie.note": "Tied on {raw}: {names}, ",
+  "tie.noteSplit": "shared place {rank}, splitting the bonuses for places {rank}–{last} ({bonus} each)",
+  "tie.noteSeat": "ranked {ranks} by seat order",
+
+  // Leaderboard and chart
+  "leaderboard.filterNote": "Counts {type} games only, without penalties/adjustments.",
+  "chart.score": "Score trend",
+  "chart.rank": "Standings by round",
+  "chart.scoreTab": "Score",
+  "chart.rankTab": "Place",
+  "chart.empty": "The trend appears once games are recorded.",
+  "chart.pointScore": "{name} {label}: {value}",
+  "chart.cutLine": "The dashed line is the Top {n} cut.",
+
+  // Page
+  "roster.title": "Add players from the default roster",
+  "roster.selected": "Selected",
+  "roster.added": "Already added",
+  "roster.done": "Done",
+  "header.title": "Mahjong Tournament Tracker",
+  "header.switchTournament": "Switch event",
+  "header.tournaments": "Events",
+  "header.season": "Season",
+  "header.h2h": "Head to head",
+  "header.board": "Big screen",
+  "header.boardTitle": "Open a read-only big-screen board in a new window that follows this page",
+  "header.share": "Share snapshot",
+  "header.shareTitle": "Create a read-only link to the current standings",
+  "header.finals": "Start finals",
+  "header.adjust": "± Penalty/adjustment",
+  "header.adjustTitle": "Penalties, lateness, referee rulings and so on",
+  "players.remove": "Remove player",
+  "players.stats": "Stats",
+  "players.add": "Add player",
+  "players.importDefault": "Add default roster",
+  "players.withdrawnList": "Withdrawn players ({n})",
+  "players.restore": "Restore",
+  "players.purge": "Delete for good",
+  "players.newTitle": "Add a new player",
+  "players.uploadHint": "Click to upload an avatar (optional)",
+  "players.namePlaceholder": "Player name",
+  "players.addConfirm": "Add",
+
+  // Round plan
+  "plan.swiss": " (Swiss)",
+  "plan.progress": "{done}/{total} tables reported",
+  "plan.confirmClear": "Some tables are still unreported. Clear this round's plan?",
+  "plan.clear": "Clear plan",
+  "plan.reported": "Reported",
+  "plan.unseated": "No seating yet, waiting for the result",
+
+  // History section
+  "history.title": "Game history",
+  "history.filter": "Only games where {names} shared a table ✕",
+  "history.filterJoin": " and ",
+  "history.empty": "No data yet. Click “+ Record a game” to start.",
+  "history.tableCount": " ({n} tables)",
+  "history.moveUp": "Move up",
+  "history.moveDown": "Move down",
+
+  // App updates
+  "app.updateReady": "A new version is ready. Updating reloads the page (your data is kept).",
+  "app.updateLater": "Later",
+  "app.updateNow": "Update now",
+};
+
+const ja = {
+  // Shared
+  "common.listSep": "、",
+  "common.cancel": "キャンセル",
+  "common.save": "保存",
+  "common.close": "閉じる",
+  "common.edit": "編集",
+  "common.delete": "削除",
+  "common.unitPoints": "単位：ポイント",
+
+  // Seat winds
+  "wind.east": "東",
+  "wind.south": "南",
+  "wind.west": "西",
+  "wind.north": "北",
+
+  // Rules
+  "tie.seat": "起家順（東家優先、JPML/天鳳）",
+  "tie.split": "同点者で順位点を等分（WRC/EMA）",
+  "rounding.none": "端数処理なし",
+  "rounding.round": "四捨五入",
+  "rounding.gotoshi": "五捨六入（天鳳）",
+  "rounding.floor": "切り捨て",
+  "ruleset.club": "クラブ標準",
+  "ruleset.mleague": "Mリーグ",
+  "ruleset.tenhou": "天鳳",
+  "ruleset.wrc": "WRC",
+  "ruleset.ema": "EMA リーチ",
+  "table.yonma": "四麻",
+  "table.sanma": "三麻",
+  "table.filterAll": "合算",
+  "table.filter4": "四麻のみ",
+  "table.filter3": "三麻のみ",
+
+  // Rounds and tables
+  "round.title": "第 {n} 回戦",
+  "round.table": "{n} 卓目",
+
+  // Tournaments
+  "tournament.defaultName": "デフォルト大会",
+
+  // Undo history
+  "undo.players": "プレイヤー",
+  "undo.rounds": "対局",
+  "undo.rankBonus": "順位点",
+  "undo.topK": "Top K",
+  "undo.tiePolicy": "同点処理",
+  "undo.ruleset": "ルール",
+  "undo.customRulesets": "カスタムルール",
+  "undo.groups": "チーム",
+  "undo.roundPlan": "組み合わせ",
+  "undo.finals": "決勝",
+  "undo.adjustments": "ペナルティ/調整",
+
+  // Game validation
+  "validate.pickPlayers": "{count} 人の異なるプレイヤーを選んでください（{winds}に 1 人ずつ）。",
+  "validate.invalidScore": "有効な点数（整数）を入力してください。",
+  "validate.sumMismatch": "点数の合計は {expected} でなければなりません（現在 {sum}）",
+
+  // Adjustments
+  "adjust.cat.chombo": "チョンボ",
+  "adjust.cat.late": "遅刻",
+  "adjust.cat.noshow": "欠席",
+  "adjust.cat.ruling": "裁定",
+  "adjust.cat.other": "その他",
+
+  // Charts
+  "chart.start": "開始",
+
+  // Finals
+  "finals.carry.full": "全額持ち越し",
+  "finals.carry.half": "半分持ち越し",
+  "finals.carry.reset": "リセット",
+  "finals.stage.final": "決勝",
+  "finals.stage.semi": "準決勝",
+  "finals.stage.quarter": "準々決勝",
+
+  // Hand-by-hand entry
+  "hand.ron": "ロン",
+  "hand.tsumo": "ツモ",
+  "hand.draw": "流局",
+  "hand.err.type": "和了の種類を選んでください。",
+  "hand.err.winner": "和了者を選んでください。",
+  "hand.err.loser": "放銃者を選んでください（和了者以外）。",
+  "hand.err.han": "翻数は 1 以上にしてください。",
+  "hand.err.fu": "有効な符数を入力してください（20、25、30…）。",
+  "hand.label": "{wind}{dealer}局 {honba}本場",
+
+  // Teams
+  "groups.defaultName": "チーム {n}",
+
+  // Export / import
+  "export.invalid": "ファイルの内容は有効な大会データではありません。",
+  "export.unknownVersion": "認識できないデータバージョン：{version}",
+  "export.newerVersion": "データバージョン {version} はこのアプリが対応する {supported} より新しいため、先にアプリを更新してください。",
+  "export.err.noData": "data フィールドがありません。",
+  "export.err.players": "players は配列である必要があります。",
+  "export.err.playerFields": "プレイヤーデータの id、name または avatar がないか無効です。",
+  "export.err.duplicateIds": "プレイヤー id が重複しています。",
+  "export.err.rounds": "rounds は配列である必要があります。",
+  "export.err.roundIds": "対局 id が重複しています。",
+  "export.err.roundFields": "第 {n} 局に id または有効な日時がありません。",
+  "export.err.roundSeats": "第 {n} 局の席または点数が不完全です。",
+  "export.err.roundPlayers": "第 {n} 局に存在しないプレイヤーが含まれています。",
+  "export.err.roundRepeatPlayer": "第 {n} 局で同じプレイヤーが 2 つの席に座っています。",
+  "export.err.roundPoints": "第 {n} 局の点数が無効です。",
+  "export.err.rankBonus": "rankBonus は 4 つの数値である必要があります。",
+  "export.err.topK": "topK は正の整数である必要があります。",
+  "export.err.tiePolicy": "不明な同点処理：{policy}",
+  "export.err.customRulesets": "カスタムルールのデータが無効です。",
+  "export.err.rulesetId": "不明なルール：{id}",
+  "export.err.groupTopK": "groupTopK は正の整数である必要があります。",
+  "export.err.finals": "決勝のデータが無効です。",
+  "export.err.adjustments": "ペナルティ/調整の記録が無効です。",
+
+  // CSV
+  "csv.round": "回戦",
+  "csv.table": "卓",
+  "csv.time": "日時",
+  "csv.wind": "席",
+  "csv.player": "プレイヤー",
+  "csv.raw": "素点",
+  "csv.base": "基本点",
+  "csv.bonus": "順位点",
+  "csv.delta": "得点",
+  "csv.err.empty": "ファイルが空です。",
+  "csv.err.missingColumns": "列がありません：{columns}",
+  "csv.err.wind": "席は {winds} のいずれかである必要があります（「{value}」ではありません）。",
+  "csv.err.player": "不明なプレイヤー「{name}」。先に名簿に追加してください。",
+  "csv.err.round": "回戦がありません。",
+  "csv.err.table": "卓は正の整数である必要があります（「{value}」ではありません）。",
+  "csv.err.duplicateWind": "第 {round} 回戦 {table} 卓目の「{wind}」が 2 回あります。",
+  "csv.err.game": "第 {round} 回戦 {table} 卓目（{lines} 行目）：{message}",
+  "csv.err.time": "認識できない日時「{value}」。",
+
+  // Diagnostics
+  "audit.kind.rawSum": "素点の合計が不一致",
+  "audit.kind.staleBreakdown": "保存された内訳が古い",
+  "audit.kind.missingPlayer": "存在しないプレイヤー",
+  "audit.kind.duplicateId": "プレイヤー id の重複",
+  "audit.kind.scoreDrift": "旧版の合計キャッシュが不一致",
+  "audit.kind.topK": "Top K が範囲外",
+  "audit.repair.rawSum": "この対局を編集",
+  "audit.repair.staleBreakdown": "保存された内訳を削除",
+  "audit.repair.missingPlayer": "棄権プレイヤーとして復元",
+  "audit.repair.duplicateId": "重複に新しい id を割り当て",
+  "audit.repair.scoreDrift": "旧版キャッシュを削除",
+  "audit.repair.topK": "範囲内に調整",
+  "audit.game": "第 {n} 局（{id}）",
+  "audit.msg.rawSum": "{game}の素点合計は {sum} ですが、{expected} であるべきです。",
+  "audit.msg.staleBreakdown": "{game}の保存された内訳が、現在のルールで再計算した結果と一致しません。",
+  "audit.place.rounds": "対局",
+  "audit.place.adjustments": "ペナルティ/調整",
+  "audit.place.groups": "チーム",
+  "audit.place.roundPlan": "組み合わせ",
+  "audit.place.finals": "決勝",
+  "audit.msg.missingPlayer": "プレイヤー id「{pid}」は名簿にありませんが、{places}に出てきます。",
+  "audit.msg.duplicateId": "{count} 人のプレイヤーが id「{pid}」を共有しています：{names}。",
+  "audit.msg.scoreDrift": "旧版で保存された合計（playerScores）が、対局から再計算した結果と {count} 人分一致しません：{names}。ランキングは再計算した結果のみを使います。",
+  "audit.msg.topK": "個人ランキングの Top K が {value} です。有効範囲は 1〜{max} です。",
+  "audit.msg.groupTopK": "チームランキングの Top K が {value} です。有効範囲は 1〜{max} です。",
+  "audit.unknownPlayer": "不明なプレイヤー {pid}",
+  "audit.report.title": "大会データ診断レポート",
+  "audit.report.event": "大会：{name}",
+  "audit.report.time": "日時：{time}",
+  "audit.report.clean": "問題は見つかりませんでした。",
+  "audit.report.found": "{count} 件の問題が見つかりました：",
+
+  // Spectator board
+
+  // App shell
+  "app.persistError": "データをブラウザに保存できませんでした（{reason}）。",
+  "app.quotaExceeded": "ストレージがいっぱいです",
+  "app.unknownError": "不明なエラー",
+  "app.persistHint": "ページを再読み込みする前に「設定」でバックアップをエクスポートし、不要な大会を削除して容量を空けてください。",
+  "app.dismiss": "了解",
+
+  // Leaderboards
+  "leaderboard.players": "個人ランキング",
+  "leaderboard.qualifying": "予選ランキング",
+  "leaderboard.teams": "チームランキング",
+
+  // Spectator board
+  "board.invalidSnapshot": "スナップショットのリンクが無効か破損しています。",
+  "board.noData": "大会データがありません。",
+  "board.defaultTitle": "麻雀大会速報",
+  "board.roundsPlayed": "{n} 回戦終了",
+  "board.snapshotAt": "スナップショット（閲覧のみ）· {time}",
+  "board.liveAt": "ライブ · {time} 更新",
+  "board.finalsFinal": "決勝最終順位",
+  "board.finalsLive": "決勝順位",
+  "board.recent": "最新の対局",
+  "board.noGames": "まだ対局がありません。",
+
+  // Tracker handlers
+  "confirm.resetAll": "すべてのデータを消去しますか？（「元に戻す」で復元できます）",
+  "export.avatarFailed": "エクスポートに失敗しました：アイコンを読み込めません（{error}）",
+  "import.notJson": "ファイルを読み込めません：有効な JSON ではありません。",
+  "import.failed": "インポートに失敗しました：{error}",
+  "share.copied": "スナップショットのリンクをコピーしました。現在の順位表を閲覧のみで表示できます（対局が進んでも更新されません）。",
+  "share.prompt": "次のスナップショットのリンクをコピーしてください：",
+  "avatar.saveFailed": "アイコンを保存できませんでした：{error}",
+  "player.record.games": "{n} 局の対局",
+  "player.record.adjustments": "{n} 件のペナルティ/調整",
+  "player.confirmWithdraw": "{name} にはすでに {record} があります。棄権するとメンバー一覧と席決めから外れますが、履歴とデータは残ります。棄権させますか？",
+  "player.confirmPurge": "{name} を完全に削除すると、参加した {games} 局の対局（卓ごと削除されるため、同卓の他のプレイヤーの成績も消えます）と {entries} 件のペナルティ/調整も削除されます。削除しますか？",
+  "player.confirmDelete": "プレイヤー {name} を削除しますか？",
+  "player.newAvatarAlt": "新しいプレイヤーのアバター",
+  "round.confirmDelete": "{label}を削除しますか？この卓のポイントは順位表から差し引かれます。",
+
+  // Finals handlers
+  "finals.confirmReplacePlan": "現在の回戦に未入力の卓があります。決勝を始めるとこの回戦の組み合わせは置き換えられます。よろしいですか？",
+  "finals.cannotCancel": "決勝の対局がすでにあります。決勝を取り消す前にそれらの対局を削除してください。",
+  "finals.confirmCancel": "決勝を取り消しますか？",
+
+  // Toolbar
+  "toolbar.addGame": "+ 対局を入力",
+  "toolbar.settings": "設定",
+  "toolbar.undo": "↶ 元に戻す",
+  "toolbar.redo": "↷ やり直し",
+  "toolbar.undoTitle": "元に戻す：{label}（Ctrl+Z）",
+  "toolbar.redoTitle": "やり直し：{label}（Ctrl+Shift+Z）",
+  "toolbar.nothingToUndo": "元に戻せる操作はありません",
+  "toolbar.nothingToRedo": "やり直せる操作はありません",
+  "toolbar.locked": "🔒 ロック中",
+  "toolbar.lockedTitle": "PIN を入力して編集のロックを解除",
+  "toolbar.lock": "🔓 ロック",
+  "toolbar.lockTitle": "ロック後の編集には PIN が必要です",
+  "toolbar.nextRound": "次の回戦を組む",
+  "toolbar.groups": "チーム",
+  "toolbar.groupsCount": "チーム（{n}）",
+
+  // Round dialog
+  "round.confirmDropHandsSanma": "三麻では局ごとの入力ができません。切り替えると入力済みの局は破棄されます。よろしいですか？",
+  "round.err.noHands": "局ごとの入力では 1 局以上入力してください。",
+  "round.err.seatedElsewhere": "{names} はこの回戦の別の卓ですでに対局しています。",
+  "round.err.finalsSeats": "決勝卓のプレイヤーは組み合わせ表と同じにしてください（席の入れ替えは可）。",
+  "round.editTitle": "{label}を編集",
+  "round.planTitle": "{round} · {n} 卓目を入力",
+  "round.newTitle": "対局を入力",
+  "round.newRound": "新しい回戦",
+  "round.joinLatest": "第 {round} 回戦に追加（{table} 卓目）",
+  "round.pickPlayer": "プレイヤーを選択",
+  "round.archivedName": "{name}（棄権）",
+  "round.rawPlaceholder": "素点",
+  "round.rulesLine4": "ルール：{name}、持ち点 {start}、4 人合計 {total}",
+  "round.rulesLine3": "ルール：{name}、持ち点 {start}、3 人合計 {total}",
+  "round.confirmDropHands": "局ごとの入力をオフにすると入力済みの局は破棄されます。よろしいですか？",
+  "round.detailed": "局ごとに入力（和了から点数を自動計算）",
+  "round.sanmaFinalOnly": "三麻は終局時の点数のみ入力できます。",
+
+  // Hand log
+  "hand.leftoverSticks": "供託の立直棒 {n} 本は精算時にトップが受け取ります。",
+  "hand.undoLast": "直前の局を取り消す",
+  "hand.winner": "和了者",
+  "hand.loser": "放銃者",
+  "hand.han": "翻",
+  "hand.fu": "符",
+  "hand.riichi": "立直：",
+  "hand.tenpai": "聴牌：",
+  "hand.add": "+ この局を記録",
+  "hand.riichiSuffix": "、立直：{names}",
+  "hand.allNoten": "全員ノーテン",
+  "hand.drawSummary": "流局（聴牌：{tenpai}）",
+  "hand.valueHan": "{han}翻",
+  "hand.valueHanFu": "{han}翻{fu}符",
+
+  // Player stats
+  "stats.gameLine": "{label}：{rank} 位、素点 {raw}、{delta}",
+  "stats.played": "対局数",
+  "stats.total": "合計",
+  "stats.avgRank": "平均順位",
+  "stats.avgRaw": "平均素点",
+  "stats.bustRate": "飛び率",
+  "stats.rating": "R",
+  "stats.ratingChange": "R {rating}（{change}）",
+  "stats.title": "{name} の成績",
+  "stats.unknownPlayer": "プレイヤー",
+  "stats.place": "{n} 位",
+  "stats.times": "{n} 回",
+  "stats.best": "ベスト対局：",
+  "stats.worst": "ワースト対局：",
+  "stats.games": "対局記録",
+  "stats.noGames": "まだ対局がありません。",
+  "stats.gamePlace": "{rank} 位 · {raw}",
+  "stats.adjustments": "ペナルティ/調整",
+  "stats.adjustmentSummary": "対局 {games}、調整合計 {adjustments}",
+
+  // Head to head
+  "h2h.title": "対戦表",
+  "h2h.hint": "各セルは「行のプレイヤー 対 列のプレイヤー」：同卓数、順位の勝ち-負け、同卓対局での合計スコア差です。セルをクリックすると対局を表示します。",
+  "h2h.cellTitle": "{a} 対 {b}",
+  "h2h.games": "{n} 局",
+
+  // Settings
+  "settings.customCopyName": "{name}（カスタム）",
+  "settings.confirmRemoveRuleset": "このルールで固定された対局があります。削除してもそれらの対局は固定時のルールのままです。削除しますか？",
+  "settings.err.bonus": "有効な数値を入力してください",
+  "settings.err.ruleset": "ルール「{name}」の数値が無効です（持ち点と除数は 0 より大きくしてください）",
+  "settings.untitled": "無題",
+  "settings.err.topK": "有効な Top K を入力してください（1〜プレイヤー数）",
+  "settings.confirmRevert": "初期状態に戻しますか？（「元に戻す」で復元できます）",
+  "settings.title": "設定：ルールと順位点",
+  "settings.ruleset": "ルール：",
+  "settings.presets": "プリセット",
+  "settings.custom": "カスタム",
+  "settings.copyAsCustom": "カスタムとして複製",
+  "settings.name": "名前：",
+  "settings.startPoints": "持ち点：",
+  "settings.returnPoints": "返し点：",
+  "settings.oka": "オカ（トップ賞）：",
+  "settings.divisor": "点数の除数：",
+  "settings.uma": "{n} 位のウマ：",
+  "settings.sanmaSection": "三麻（3 人卓）",
+  "settings.sanmaUma": "三麻 {n} 位のウマ：",
+  "settings.rounding": "端数処理：",
+  "settings.removeRuleset": "このカスタムルールを削除",
+  "settings.presetSummary": "持ち点 {start}、返し {return}、オカ {oka}、除数 {divisor}、{rounding}",
+  "settings.presetUma": "、ウマ {uma}",
+  "settings.presetSanma": "三麻：持ち点 {start}、返し {return}、オカ {oka}、ウマ {uma}",
+  "settings.bonus": "{n} 位の順位点：",
+  "settings.tiePolicy": "同点処理：",
+  "settings.topK": "順位表 Top K：",
+  "settings.topKPlaceholder": "上位 K 人",
+  "settings.language": "言語：",
+  "settings.explanation": "説明：各プレイヤーのスコア =（素点 − 返し点）/ 除数 + 順位のウマ（トップはオカも加算）。4 人の素点合計は 4 × 持ち点（三麻は 3 × 三麻の持ち点）でなければなりません。ルールや順位点を変更すると、固定されていないすべての対局を新しいルールで再計算します。Top K は順位表の区切り線の位置です。",
+  "settings.exportJson": "データをエクスポート（JSON）",
+  "settings.importJson": "データをインポート",
+  "settings.exportCsv": "対局をエクスポート（CSV）",
+  "settings.importCsv": "CSV から対局をインポート",
+  "settings.changePin": "オペレーター PIN の変更 / 解除",
+  "settings.setPin": "オペレーター PIN を設定",
+  "settings.diagnostics": "データ診断",
+  "settings.clear": "データを消去",
+  "settings.revert": "初期化（すべてのデータを消去）",
+
+  // Finals
+  "finals.title": "決勝へ",
+  "finals.needPlayers": "決勝には 4 人以上の参加プレイヤーが必要です。",
+  "finals.size": "進出人数：",
+  "finals.sizeOption": "上位 {n} 名（{stages}）",
+  "finals.carryLabel": "予選ポイント：",
+  "finals.carried": "持ち越し {points}",
+  "finals.rules": "各卓 1 局。決勝ポイント（持ち越し + 決勝の対局スコア）で各卓上位 {n} 名が次の段階へ進み、各卓 1 位が優先して配置されます。予選ランキングは変わりません。",
+  "finals.start": "決勝開始",
+  "finals.section": "決勝",
+  "finals.sectionInfo": "上位 {n} 名 · 予選ポイント{carry}",
+  "finals.advance": "{stage}へ",
+  "finals.podium": "表彰台",
+  "finals.cancel": "決勝を取り消す",
+
+  // Finals bracket and podium
+  "finals.pending": "未定",
+  "finals.record": "入力",
+  "finals.standings": "決勝順位",
+  "finals.standingsFinal": "決勝順位（確定）",
+  "finals.podiumTitle": "{name} 表彰台",
+
+  // Adjustments
+  "adjust.err.player": "プレイヤーを選んでください。",
+  "adjust.err.amount": "0 以外のポイントを入力してください（減点はマイナス）。",
+  "adjust.err.reason": "カテゴリーが「その他」の場合は理由を入力してください。",
+  "adjust.confirmDelete": "この記録を削除しますか？（入力ミスの場合のみ。正式な取り消しは「取消」を使うと記録が残ります）",
+  "adjust.editTitle": "ペナルティ/調整を編集",
+  "adjust.newTitle": "ペナルティ/調整を追加",
+  "adjust.player": "プレイヤー：",
+  "adjust.category": "カテゴリー：",
+  "adjust.amount": "ポイント（減点はマイナス）：",
+  "adjust.amountPlaceholder": "例：-20",
+  "adjust.reason": "理由：",
+  "adjust.reasonPlaceholder": "例：第 3 回戦 東場で誤ロン",
+  "adjust.hint": "調整は個人ランキングの合計に加算され、対局履歴に時系列で表示されます。",
+
+  // Operator PIN
+  "pin.wrong": "PIN が違います。",
+  "pin.promptTitle": "オペレーター PIN が必要です",
+  "pin.promptHint": "編集はロックされています。PIN を入力して解除してください（再読み込みや「ロック」の後は再入力が必要です）。",
+  "pin.checking": "確認中…",
+  "pin.unlock": "解除",
+  "pin.err.format": "PIN は 4〜12 桁の数字にしてください。",
+  "pin.err.mismatch": "2 回入力した PIN が一致しません。",
+  "pin.err.create": "PIN を作成できません（{error}）。HTTPS か localhost でアクセスしてください。",
+  "pin.confirmRemove": "PIN を解除すると誰でもデータを編集できます。解除しますか？",
+  "pin.title": "オペレーター PIN",
+  "pin.setupHint": "設定すると、対局の入力、プレイヤーの編集、設定の変更、データの消去の前に PIN でロックを解除する必要があります。PIN はソルト付きハッシュとしてこの端末にのみ保存され、すべての大会で共通です。",
+  "pin.new": "新しい PIN",
+  "pin.repeat": "もう一度入力",
+  "pin.change": "PIN を変更",
+  "pin.set": "PIN を設定",
+  "pin.remove": "PIN を解除",
+
+  // Tournaments
+  "tournaments.newPrompt": "新しい大会の名前：",
+  "tournaments.newDefault": "大会 {n}",
+  "tournaments.confirmCopy": "「{name}」のメンバーとルール設定を引き継ぎますか？（対局記録はコピーされません）",
+  "tournaments.confirmDelete": "大会「{name}」とそのすべてのプレイヤー・対局を削除しますか？この操作は取り消せません。",
+  "tournaments.title": "大会の管理",
+  "tournaments.current": "表示中",
+  "tournaments.switch": "切り替え",
+  "tournaments.new": "+ 新しい大会",
+
+  // Season
+  "season.title": "シーズンランキング",
+  "season.hint": "各大会をそれぞれのルールで計算して合算します。大会をまたいで同じ名前のプレイヤーは同一人物とみなします。",
+  "season.empty": "プレイヤーのいる大会を 1 つ以上選んでください。",
+  "season.rowInfo": "{events} 大会 · {games} 局",
+
+  // JSON import
+  "import.title": "データのインポート",
+  "import.summary": "ファイルにはプレイヤー {players} 人、対局 {rounds} 局が含まれています。",
+  "import.mergeHint": "統合：新しいプレイヤー {players} 人と新しい対局 {rounds} 局を追加し、現在のルールと設定は維持します。",
+  "import.replaceHint": "置き換え：現在のすべてのデータをファイルのプレイヤー・対局・ルール設定で上書きします。",
+  "import.merge": "統合",
+  "import.replace": "置き換え",
+  "import.confirmReplace": "現在のすべてのデータをインポートしたデータで置き換えますか？",
+
+  // CSV import
+  "csvImport.title": "対局のインポート：{file}",
+  "csvImport.errors": "{n} 件の問題が見つかりました。表を修正して再度インポートしてください。データはインポートされていません。",
+  "csvImport.line": "{n} 行目",
+  "csvImport.summary": "{games} 局・{rounds} 回戦を、既存の対局の後に新しい回戦として追加します。",
+  "csvImport.columns": "必要な列：{columns}（卓番号・時刻は任意。基本点・順位点・スコアは現在のルールで再計算します）。",
+  "csvImport.submit": "{n} 局をインポート",
+
+  // Diagnostics dialog
+  "audit.copied": "診断レポートをコピーしました。",
+  "audit.clipboardFailed": "クリップボードを使えません。テキストボックスから手動でコピーしてください。",
+  "audit.title": "データ診断",
+  "audit.hint": "ブラウザに保存されたこの大会のデータを確認します：素点の合計、保存済みのスコア内訳、プレイヤー ID、旧版の合計キャッシュ、Top K。",
+  "audit.clean": "問題は見つかりませんでした。",
+  "audit.copy": "レポートをコピー",
+
+  // Seating dialog
+  "seating.confirmReplace": "現在の組み合わせに未入力の卓があります。置き換えますか？",
+  "seating.title": "次の回戦の席決め",
+  "seating.players": "参加プレイヤー（クリックで欠席）：",
+  "seating.swiss": "スイス式：現在の順位で卓を分ける（オフの場合は同卓の重複をなるべく避ける）",
+  "seating.sanma": "4 人卓に満たない分は三麻卓に割り当てる（抜け番をなるべく減らす）",
+  "seating.hint": "対局数の多いプレイヤーから抜け番になります。席の風は各自の東家の回数が均等になるように決めます。",
+  "seating.needPlayers": "{n} 人以上のプレイヤーが必要です。",
+  "seating.generate": "作成",
+  "seating.regenerate": "作り直す",
+  "seating.manual": "席決めせずに {n} 卓の新しい回戦を始める",
+  "seating.tableType": "（{type}）",
+  "seating.byes": "抜け番：{names}",
+  "seating.confirm": "この組み合わせにする",
+
+  // Teams dialog
+  "groups.err.count": "2 チーム以上必要です。",
+  "groups.err.name": "チーム名を入力してください。",
+  "groups.err.members": "「{name}」には {n} 人のメンバーが必要です。",
+  "groups.err.duplicate": "{name} が複数のチームに入っています。",
+  "groups.err.topK": "有効なチーム Top K を入力してください（1〜チーム数）",
+  "groups.lockedTitle": "チーム（ロック中）",
+  "groups.lockedHint": "対局記録があるためチームはロックされています。対局データを消去すると再編成できます。",
+  "groups.disabled": "この大会ではチーム戦を使っていません。",
+  "groups.title": "チーム設定",
+  "groups.enable": "チーム戦を有効にする（最初の対局の入力後にロック）",
+  "groups.size": "1 チームの人数：",
+  "groups.topK": "チームランキング Top K：",
+  "groups.pickMember": "メンバーを選択",
+  "groups.add": "+ チームを追加",
+  "groups.shuffle": "ランダムに分ける",
+
+  // Avatars
+  "player.unknown": "不明なプレイヤー",
+  "player.withdrawn": "棄権",
+
+  // History
+  "adjust.reversed": "取消済み",
+  "adjust.restore": "復元",
+  "adjust.reverse": "取消",
+  "history.frozenTitle": "この対局は固定時の順位点と同点処理を使っています。クリックすると現在のルールに戻します。",
+  "history.freezeTitle": "この対局の現在の順位点と同点処理を固定し、以後の設定変更の影響を受けないようにします",
+  "history.frozen": "固定中 {name} {uma}",
+  "history.freeze": "ルールを固定",
+  "history.raw": "素点：{raw}",
+  "history.delta": "増減：{delta}（基本 {base}、順位 {bonus}）",
+  "history.hideHands": "牌譜を閉じる",
+  "history.showHands": "牌譜を開く（{n} 局）",
+  "tie.note": "同点 {raw}：{names}、",
+  "tie.noteSplit": "{rank} 位タイ、{rank}〜{last} 位の順位点を等分（各 {bonus}）",
+  "tie.noteSeat": "席順でそれぞれ {ranks} 位",
+
+  // Leaderboard and chart
+  "leaderboard.filterNote": "{type}の対局のみを集計し、ペナルティ/調整は含みません。",
+  "chart.score": "スコア推移",
+  "chart.rank": "順位推移",
+  "chart.scoreTab": "スコア",
+  "chart.rankTab": "順位",
+  "chart.empty": "対局を入力すると推移が表示されます。",
+  "chart.pointScore": "{name} {label}：{value}",
+  "chart.cutLine": "破線は Top {n} の区切りです。",
+
+  // Page
+  "roster.title": "デフォルトのメンバーから追加",
+  "roster.selected": "選択中",
+  "roster.added": "追加済み",
+  "roster.done": "完了",
+  "header.title": "麻雀大会トラッカー",
+  "header.switchTournament": "大会を切り替え",
+  "header.tournaments": "大会の管理",
+  "header.season": "シーズン",
+  "header.h2h": "対戦表",
+  "header.board": "大画面",
+  "header.boardTitle": "このページに連動する閲覧用の大画面を新しいウィンドウで開きます",
+  "header.share": "スナップショットを共有",
+  "header.shareTitle": "現在の順位表の閲覧用リンクを作成します",
+  "header.finals": "決勝へ",
+  "header.adjust": "± ペナルティ/調整",
+  "header.adjustTitle": "ペナルティ、遅刻、審判の裁定など",
+  "players.remove": "プレイヤーを外す",
+  "players.stats": "成績を見る",
+  "players.add": "プレイヤーを追加",
+  "players.importDefault": "デフォルトのメンバーを追加",
+  "players.withdrawnList": "棄権したプレイヤー（{n}）",
+  "players.restore": "復帰",
+  "players.purge": "完全に削除",
+  "players.newTitle": "新しいプレイヤーを追加",
+  "players.uploadHint": "クリックしてアイコンをアップロード（任意）",
+  "players.namePlaceholder": "プレイヤー名",
+  "players.addConfirm": "追加",
+
+  // Round plan
+  "plan.swiss": "（スイス式）",
+  "plan.progress": "{done}/{total} 卓入力済み",
+  "plan.confirmClear": "未入力の卓があります。この回戦の組み合わせを消去しますか？",
+  "plan.clear": "組み合わせを消去",
+  "plan.reported": "入力済み",
+  "plan.unseated": "席未定、入力待ち",
+
+  // History section
+  "history.title": "対局履歴",
+  "history.filter": "{names} が同卓した対局のみ ✕",
+  "history.filterJoin": " と ",
+  "history.empty": "データがありません。「+ 対局を入力」から始めてください。",
+  "history.tableCount": "（{n} 卓）",
+  "history.moveUp": "上へ",
+  "history.moveDown": "下へ",
+
+  // App updates
+  "app.updateReady": "新しいバージョンの準備ができました。更新するとページが再読み込みされます（データは保持されます）。",
+  "app.updateLater": "後で",
+  "app.updateNow": "今すぐ更新",
+};
+
+export const CATALOGUES = { zh, en, ja };
@@ -0,0 +1,31 @@
+// Service worker: precaches the app shell, the bundle and the public files (icons, /avatars/*) so the
+// tracker starts and runs without a network. The build (vite.config.js) fills in the version and the file list.
+const CACHE_PREFIX = "mahjong-tracker-";
+const CACHE = CACHE_PREFIX + __VERSION__;
+const PRECACHE = __PRECACHE__;
+// Every page (?view=board, #snapshot=…) is the same single-page app
+const SHELL = new URL("./", self.location).href;
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+// A new version waits until the page accepts the update prompt, so a game being entered is never cut off
+self.addEventListener("message", event => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  const cached = request.mode === "navigate" ? caches.match(SHELL) : caches.match(request);
+  event.respondWith(cached.then(response => response ?? fetch(request)));
+});
@@ -1,7 +1,49 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files under `dir`, as URL paths relative to it
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]))
+}
+
+// Emits sw.js (from src/sw.js) with the build output and public files to precache. The version is a
+// hash of their contents, so every deploy that changes anything installs a new worker and cache.
+function serviceWorker() {
+  let config
+  return {
+    name: 'mahjong-tracker-sw',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = ['./']
+      for (const [name, output] of Object.entries(bundle)) {
+        if (name.endsWith('.map')) continue
+        hash.update(name).update(output.type === 'chunk' ? output.code : output.source)
+        if (name !== 'index.html') files.push(name)
+      }
+      for (const name of listFiles(config.publicDir)) {
+        hash.update(name).update(fs.readFileSync(path.join(config.publicDir, name)))
+        files.push(name)
+      }
+      const source = fs.readFileSync(path.resolve(config.root, 'src/sw.js'), 'utf8')
+        .replace('__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE__', JSON.stringify(files, null, 2))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })